@@ -2,8 +2,9 @@
 // Background service worker for Video Speed Hotkey extension
 // Handles settings management and cross-tab coordination
 
-// Import settings utilities
+// Import settings and statistics utilities
 importScripts(chrome.runtime.getURL("shared/settings.js"));
+importScripts(chrome.runtime.getURL("shared/stats.js"));
 
 // Initialize extension on install
 chrome.runtime.onInstalled.addListener(async () => {
@@ -30,6 +31,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleResetSettings(sendResponse);
       return true;
 
+    case "RECORD_STATS":
+      handleRecordStats(message.entry, sendResponse);
+      return true;
+
+    case "CLEAR_STATS":
+      handleClearStats(sendResponse);
+      return true;
+
     default:
       console.warn("Video Speed Hotkey: Unknown message type:", message.type);
       return false;
@@ -159,3 +168,33 @@ async function handleResetSettings(sendResponse) {
     sendResponse({ success: false, error: error.message });
   }
 }
+
+/**
+ * Adds a tab's watch time to the local statistics. Every tab's writes go
+ * through this worker's write queue, so tabs don't overwrite each other.
+ * @param {Object} entry - Entry for PulsePlayStats.recordWatchTime
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleRecordStats(entry, sendResponse) {
+  try {
+    const success = await PulsePlayStats.recordWatchTime(entry || {});
+    sendResponse({ success });
+  } catch (error) {
+    console.error("Video Speed Hotkey: Error recording stats:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Deletes the local statistics once queued writes have landed
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleClearStats(sendResponse) {
+  try {
+    const success = await PulsePlayStats.clearStats();
+    sendResponse({ success });
+  } catch (error) {
+    console.error("Video Speed Hotkey: Error clearing stats:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
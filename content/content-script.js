@@ -5,13 +5,31 @@
 // Placeholder for VideoSpeedController class
 // This will be implemented in subsequent tasks
 
+// Browsers mute audio rather than time-stretch it beyond this rate
+const AUDIO_MUTED_ABOVE_RATE = 4;
+
+// Remembered positions this close to either end aren't worth resuming
+const RESUME_MIN_SECONDS = 10;
+// Milliseconds of playback between saves of the resume position; wall-clock
+// time, so boosted playback doesn't save more often
+const RESUME_SAVE_INTERVAL_MS = 15000;
+// How long the "Resume at" button stays over the video
+const RESUME_OFFER_MS = 8000;
+
 class VideoSpeedController {
   constructor() {
     this.settings = null;
     this.theme = "light"; // updated from chrome.storage.local after init
     this.isInitialized = false;
     this.speedLockActive = false;
+    this.pendingLockFollow = false; // re-engage the lock on the next video
+    this.lockReleaseTimer = null; // lockRelease.afterMinutes
+    this.lockEngagedAt = null; // when the current lock was first engaged
+    this.lockPauseTimer = null; // lockRelease.pausedSeconds
+    this.turboState = null; // { video, lockedRate } while turbo is held
+    this.resumeOffer = null; // { video, element, timer } while offered
     this.lastHotkeyTapTime = 0;
+    this.activeRule = null; // site rule matching the current page, if any
     this.trackedVideos = new Map(); // Store video elements and their state
     this.lastActiveVideo = null;
 
@@ -19,6 +37,7 @@ class VideoSpeedController {
     this.hotkeyState = {
       isPressed: false,
       currentKey: null,
+      action: null, // "boost", "slow", "toggle" or "gesture" while held
       modifiers: {
         ctrl: false,
         alt: false,
@@ -37,8 +56,39 @@ class VideoSpeedController {
       visibilitychange: null,
     };
 
+    // Boost key gestures, created from settings.gestures on first use
+    this.gestureRecognizer = null;
+
+    // Progressive speed ramp while the boost key is held
+    this.rampTimer = null;
+    this.rampState = null; // { video, rate, step, maxRate } while ramping
+
+    // Eased playback rate transitions in progress
+    this.rateTransitions = new Map(); // Map of video -> { from, to, startTime }
+
+    // "Finish by" time budget for the active video
+    this.finishByTimer = null;
+    this.finishByState = null; // { video, deadline, previousRate, rate }
+
+    // YouTube ad auto-boost
+    this.adWatchTimer = null;
+    this.adBoostState = null; // { video, originalRate, mutedByUs, speedLockActive }
+
+    // A–B loop on the active video
+    this.loopState = null; // { video, a, b, active, previousRate }
+
+    // YouTube chapter actions for the main player video
+    this.chapterState = null; // { video, chapters, index, title, checkedAt, previousRate }
+
+    // Silence skipping via Web Audio analysis of the active video
+    this.audioContext = null;
+    this.audioGraphs = new Map(); // video -> { source, analyser, samples }
+    this.silenceTimer = null;
+    this.silenceState = null; // { video, graph, quietSince, startedAt }
+
     // Speed indicator auto-hide timer
     this.autoHideTimer = null;
+    this.flashTimer = null; // restores a boost/lock readout after a flash
     this.autoHideStartTime = null;
 
     // DOM mutation observer for tracking video removal
@@ -66,6 +116,14 @@ class VideoSpeedController {
    */
   refreshSettings(newSettings) {
     this.settings = newSettings;
+    // Rebuilt with the new bindings and thresholds on the next press
+    this.gestureRecognizer?.reset();
+    this.gestureRecognizer = null;
+    this.updateSilenceSkipping();
+    this.updateAdWatch();
+    if (!newSettings?.chapters?.enabled) {
+      this.stopChapters();
+    }
   }
 
   /**
@@ -308,9 +366,12 @@ class VideoSpeedController {
 
   /**
    * Determine which video should be controlled based on current state
+   * @param {Object} [options] - Selection options
+   * @param {boolean} [options.preferPaused] - Prefer a paused video over
+   *   playing ones (frame stepping works on the video the user paused)
    * @returns {HTMLVideoElement|null} The active video element or null
    */
-  getActiveVideo() {
+  getActiveVideo(options = {}) {
     try {
       const videos = this.detectVideos();
 
@@ -327,9 +388,9 @@ class VideoSpeedController {
       // Multiple videos - determine which one is active
       let activeVideo = null;
 
-      // Priority 1: Currently playing video
-      const playingVideos = videos.filter(
-        (video) => !video.paused && !video.ended,
+      // Priority 1: Currently playing video (or paused one, if preferred)
+      const playingVideos = videos.filter((video) =>
+        options.preferPaused ? video.paused : !video.paused && !video.ended,
       );
       if (playingVideos.length === 1) {
         activeVideo = playingVideos[0];
@@ -455,12 +516,20 @@ class VideoSpeedController {
         return false;
       }
 
-      // Store original rate before changing
-      videoState.originalRate = activeVideo.playbackRate;
+      // Store original rate before changing. A silence skip is only a
+      // temporary rate, so keep the rate it will fall back to instead.
+      if (videoState.isSilenceSkipping) {
+        videoState.isSilenceSkipping = false;
+      } else {
+        videoState.originalRate = this.getTargetRate(activeVideo);
+      }
+      // Media time the boost began, for rewind-on-release
+      videoState.boostStartTime = activeVideo.currentTime;
 
       // Apply speed boost
-      activeVideo.playbackRate = multiplier;
+      this.setPlaybackRate(activeVideo, multiplier);
       videoState.isSpeedBoosted = true;
+      this.applyPitchPreservation(activeVideo, multiplier);
 
       return true;
     } catch (error) {
@@ -499,8 +568,10 @@ class VideoSpeedController {
       }
 
       // Restore original playback rate
-      activeVideo.playbackRate = videoState.originalRate;
+      this.setPlaybackRate(activeVideo, videoState.originalRate);
       videoState.isSpeedBoosted = false;
+      this.applyPitchPreservation(activeVideo, videoState.originalRate);
+      this.recordWatchStats(activeVideo);
 
       return true;
     } catch (error) {
@@ -509,6 +580,217 @@ class VideoSpeedController {
     }
   }
 
+  /**
+   * Set a video's playback rate, easing into it when smooth transitions are
+   * enabled. A new call replaces any transition already running on the
+   * video and starts from the rate that one had reached, so releasing the
+   * key mid-transition reverses cleanly.
+   * @param {HTMLVideoElement} video - Video to update
+   * @param {number} rate - Target playback rate
+   */
+  setPlaybackRate(video, rate) {
+    const transition = this.settings?.transition;
+    const from = video.playbackRate;
+    // Head straight for a limit this video has already shown
+    rate = this.getSupportedRate(video, rate);
+
+    if (
+      !transition?.enabled ||
+      !(transition.durationMs > 0) ||
+      from === rate ||
+      document.hidden || // animation frames don't run in background tabs
+      typeof requestAnimationFrame !== "function"
+    ) {
+      this.rateTransitions.delete(video);
+      this.assignPlaybackRate(video, rate);
+      return;
+    }
+
+    const state = { from, to: rate, startTime: Date.now() };
+    this.rateTransitions.set(video, state);
+
+    const step = () => {
+      // Stop if a newer transition or a direct reset took over
+      if (this.rateTransitions.get(video) !== state) {
+        return;
+      }
+
+      try {
+        const progress = Math.min(
+          (Date.now() - state.startTime) / transition.durationMs,
+          1,
+        );
+        if (progress >= 1) {
+          this.rateTransitions.delete(video);
+          this.assignPlaybackRate(video, rate);
+          return;
+        }
+
+        // Ease in-out cubic
+        const eased =
+          progress < 0.5
+            ? 4 * progress ** 3
+            : 1 - (-2 * progress + 2) ** 3 / 2;
+        this.assignPlaybackRate(video, from + (rate - from) * eased);
+        requestAnimationFrame(step);
+      } catch (error) {
+        console.error("Video Speed Hotkey: Error easing playback rate:", error);
+        this.rateTransitions.delete(video);
+      }
+    };
+
+    requestAnimationFrame(step);
+  }
+
+  /**
+   * Set video.playbackRate directly, falling back to a gentler rate when
+   * the browser rejects it (NotSupportedError) or silently clamps it. The
+   * rate the video settled on is remembered as its limit and shown on the
+   * indicator so the user sees what actually applied.
+   * @param {HTMLVideoElement} video - Video to update
+   * @param {number} rate - Requested playback rate
+   * @returns {number} Rate the video is now playing at
+   * @throws {Error} If the video rejects every fallback rate too
+   */
+  assignPlaybackRate(video, rate) {
+    try {
+      video.playbackRate = rate;
+    } catch (error) {
+      const fallbacks =
+        rate > 1
+          ? [8, 4, 2, 1].filter((fallback) => fallback < rate)
+          : [0.25, 0.5, 1].filter((fallback) => fallback > rate);
+      const applied = fallbacks.some((fallback) => {
+        try {
+          video.playbackRate = fallback;
+          return true;
+        } catch (fallbackError) {
+          return false;
+        }
+      });
+      if (!applied) {
+        throw error; // the video takes no rate change at all
+      }
+    }
+
+    const actual = video.playbackRate;
+    const videoState = this.trackedVideos.get(video);
+    if (videoState && Math.abs(actual - rate) > 0.01) {
+      if (rate > 1 && actual < rate) {
+        videoState.maxSupportedRate = actual;
+      } else if (rate < 1 && actual > rate) {
+        videoState.minSupportedRate = actual;
+      } else {
+        return actual;
+      }
+      console.warn(
+        `Video Speed Hotkey: ${rate}x not supported, playing at ${actual}x`,
+      );
+      this.flashSpeedIndicator(rate);
+    }
+    return actual;
+  }
+
+  /**
+   * Clamp a rate to the limits this video has shown it accepts
+   * @param {HTMLVideoElement|null} video - Video the rate is for
+   * @param {number} rate - Requested playback rate
+   * @returns {number} Rate the video can actually play at
+   */
+  getSupportedRate(video, rate) {
+    const videoState = video && this.trackedVideos.get(video);
+    if (!videoState) {
+      return rate;
+    }
+    return Math.min(
+      Math.max(rate, videoState.minSupportedRate ?? 0),
+      videoState.maxSupportedRate ?? Infinity,
+    );
+  }
+
+  /**
+   * Whether the browser is likely dropping a video's sound at a rate.
+   * Chrome and Firefox mute media above 4x rather than play distorted
+   * audio; no event reports it, so this goes by the rate and whether the
+   * video has any audio to lose.
+   * @param {HTMLVideoElement|null} video - Video to check
+   * @param {number} rate - Playback rate
+   * @returns {boolean} True if audio is expected to be muted
+   */
+  isAudioMutedAtRate(video, rate) {
+    if (!video || video.muted || !(rate > AUDIO_MUTED_ABOVE_RATE)) {
+      return false;
+    }
+    // Firefox and Chrome expose whether audio has been decoded; assume
+    // audio where neither tells us
+    if (typeof video.mozHasAudio === "boolean") {
+      return video.mozHasAudio;
+    }
+    if (typeof video.webkitAudioDecodedByteCount === "number") {
+      return video.webkitAudioDecodedByteCount > 0;
+    }
+    return true;
+  }
+
+  /**
+   * Rate a video is playing at or easing towards
+   * @param {HTMLVideoElement} video - Video to check
+   * @returns {number} Target of a running transition, else the current rate
+   */
+  getTargetRate(video) {
+    const transition = this.rateTransitions.get(video);
+    return transition ? transition.to : video.playbackRate;
+  }
+
+  /**
+   * Set preservesPitch on a video for the rate it is about to play at.
+   * A matching site rule overrides the global setting, and chipmunk mode
+   * lets pitch rise above its threshold. The video's own value is saved
+   * the first time so resetAllSpeeds can put it back.
+   * @param {HTMLVideoElement} video - Video to update
+   * @param {number} rate - Playback rate the video is playing at
+   */
+  applyPitchPreservation(video, rate) {
+    try {
+      const pitch = this.settings?.pitch;
+      if (!pitch) {
+        return;
+      }
+
+      const videoState = this.trackedVideos.get(video);
+      if (videoState && videoState.originalPreservesPitch === undefined) {
+        videoState.originalPreservesPitch = video.preservesPitch !== false;
+      }
+
+      let preserve = this.activeRule?.preservesPitch ?? pitch.preservePitch;
+      if (pitch.chipmunkMode && rate > pitch.chipmunkThreshold) {
+        preserve = false;
+      }
+
+      video.preservesPitch = preserve;
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error setting pitch:", error);
+    }
+  }
+
+  /**
+   * Put back the preservesPitch value a video had before we changed it
+   * @param {HTMLVideoElement} video - Video to restore
+   * @param {Object} videoState - Tracked state for the video
+   */
+  restorePitchPreservation(video, videoState) {
+    if (videoState.originalPreservesPitch === undefined) {
+      return;
+    }
+
+    try {
+      video.preservesPitch = videoState.originalPreservesPitch;
+    } catch (error) {
+      this.logError("Error restoring pitch preservation", error, { video });
+    }
+    delete videoState.originalPreservesPitch;
+  }
+
   /**
    * Check if speed boost is currently active for any video
    * @returns {boolean} True if any video has speed boost active
@@ -544,11 +826,17 @@ class VideoSpeedController {
     try {
       let resetCount = 0;
 
+      this.stopSpeedRamp();
+      this.abandonAdBoost();
+
       for (const [video, state] of this.trackedVideos.entries()) {
-        if (state.isSpeedBoosted) {
+        if (state.isSpeedBoosted || state.isSilenceSkipping) {
           try {
+            this.rateTransitions.delete(video);
             video.playbackRate = state.originalRate;
             state.isSpeedBoosted = false;
+            state.isSilenceSkipping = false;
+            this.recordWatchStats(video);
             resetCount++;
           } catch (error) {
             this.logError("Error resetting individual video speed", error, {
@@ -556,6 +844,7 @@ class VideoSpeedController {
             });
           }
         }
+        this.restorePitchPreservation(video, state);
       }
 
       // Hide speed indicator when resetting all speeds
@@ -568,6 +857,156 @@ class VideoSpeedController {
     }
   }
 
+  /**
+   * Find the first site rule that matches the page and video
+   * @param {HTMLVideoElement|null} video - Video used for duration checks
+   * @returns {Object|null} Matching rule or null
+   */
+  findMatchingRule(video = null) {
+    const rules = this.settings?.rules;
+    if (!Array.isArray(rules)) {
+      return null;
+    }
+
+    return rules.find((rule) => this.ruleMatches(rule, video)) || null;
+  }
+
+  /**
+   * Check a single site rule against the current page and video.
+   * Duration bounds only match once the video's duration is known.
+   * @param {Object} rule - Rule from settings.rules
+   * @param {HTMLVideoElement|null} video - Video used for duration checks
+   * @returns {boolean} True if every condition of the rule matches
+   */
+  ruleMatches(rule, video) {
+    try {
+      if (!rule || typeof rule !== "object") {
+        return false;
+      }
+
+      if (rule.urlPattern && !this.matchesUrlPattern(rule.urlPattern)) {
+        return false;
+      }
+
+      if (
+        rule.titlePattern &&
+        !new RegExp(rule.titlePattern, "i").test(document.title || "")
+      ) {
+        return false;
+      }
+
+      const hasDurationBound =
+        typeof rule.minDuration === "number" ||
+        typeof rule.maxDuration === "number";
+      if (hasDurationBound) {
+        const duration = video ? video.duration : NaN;
+        if (!isFinite(duration)) {
+          return false;
+        }
+        if (
+          typeof rule.minDuration === "number" &&
+          duration < rule.minDuration
+        ) {
+          return false;
+        }
+        if (
+          typeof rule.maxDuration === "number" &&
+          duration > rule.maxDuration
+        ) {
+          return false;
+        }
+      }
+
+      return true;
+    } catch (error) {
+      console.warn("Video Speed Hotkey: Error evaluating site rule:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Match a rule's URL pattern against the current location.
+   * A bare hostname matches that host and its subdomains; anything else is
+   * treated as a glob (* wildcard) over host + path + query, or over the
+   * full URL when the pattern includes a scheme.
+   * @param {string} pattern - Hostname or URL glob
+   * @returns {boolean} True if the location matches
+   */
+  matchesUrlPattern(pattern) {
+    const { hostname = "", href = "" } = window.location;
+    const host = hostname.toLowerCase();
+    const trimmed = pattern.trim().toLowerCase();
+
+    if (!trimmed.includes("/") && !trimmed.includes("*")) {
+      return host === trimmed || host.endsWith(`.${trimmed}`);
+    }
+
+    const target = trimmed.includes("://")
+      ? href.toLowerCase()
+      : href.toLowerCase().replace(/^[a-z]+:\/\//, "");
+    const regex = new RegExp(
+      "^" +
+        trimmed
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*") +
+        "$",
+    );
+    return regex.test(target);
+  }
+
+  /**
+   * Re-evaluate which site rule applies without running its on-load actions
+   * @param {HTMLVideoElement|null} video - Video used for duration checks
+   * @returns {Object|null} The active rule
+   */
+  evaluateSiteRules(video = this.lastActiveVideo) {
+    this.activeRule = this.findMatchingRule(video);
+    return this.activeRule;
+  }
+
+  /**
+   * Evaluate site rules and run the matching rule's on-load actions:
+   * default playback rate, automatic speed lock, or disabling Pulse Play
+   * @param {HTMLVideoElement|null} video - Video to apply the rule to
+   * @returns {Object|null} The rule that was applied
+   */
+  applySiteRules(video = null) {
+    try {
+      const target = video || this.getActiveVideo();
+      const rule = this.evaluateSiteRules(target);
+
+      if (!rule) {
+        return null;
+      }
+
+      if (rule.disabled) {
+        this.speedLockActive = false;
+        this.resetAllSpeeds();
+        return rule;
+      }
+
+      if (target && typeof rule.playbackRate === "number") {
+        const videoState = this.trackedVideos.get(target);
+        if (videoState) {
+          videoState.originalRate = rule.playbackRate;
+        }
+        if (!videoState || !videoState.isSpeedBoosted) {
+          target.playbackRate = rule.playbackRate;
+        }
+      }
+
+      if (rule.speedLock && !this.speedLockActive && target) {
+        this.engageSpeedLock();
+      }
+
+      return rule;
+    } catch (error) {
+      this.logError("Error applying site rules", error);
+      return null;
+    }
+  }
+
   /**
    * Initialize hotkey event listeners
    * Sets up keydown, keyup, and cleanup event handlers
@@ -670,6 +1109,16 @@ class VideoSpeedController {
         return;
       }
 
+      // Skip if a site rule turns Pulse Play off for this page
+      if (this.activeRule?.disabled) {
+        return;
+      }
+
+      // Leave the rate alone while an ad is being sped through
+      if (this.adBoostState) {
+        return;
+      }
+
       // Skip if typing in input fields
       if (this.isTypingInInputField(event.target)) {
         return;
@@ -693,6 +1142,47 @@ class VideoSpeedController {
         if (!this.hotkeyState.isPressed) {
           this.activateSpeedBoost(event);
         }
+      } else if (this.isSlowDownHotkey(event)) {
+        if (this.hotkeyState.preventMultipleActivations) {
+          return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (!this.hotkeyState.isPressed) {
+          this.activateSlowDown(event);
+        }
+      } else {
+        const stepAction = this.getSpeedStepAction(event);
+        const seekDirection = stepAction ? 0 : this.getSeekDirection(event);
+        const loopAction =
+          stepAction || seekDirection ? null : this.getLoopAction(event);
+        const frameDirection =
+          stepAction || seekDirection || loopAction
+            ? 0
+            : this.getFrameStepDirection(event);
+        if (stepAction) {
+          event.preventDefault();
+          event.stopPropagation();
+          this.stepBaseSpeed(stepAction);
+        } else if (seekDirection) {
+          // Leave J/L to the page (YouTube's own seek) when no video moved
+          if (this.seekActiveVideo(seekDirection)) {
+            event.preventDefault();
+            event.stopPropagation();
+          }
+        } else if (loopAction) {
+          // Leave the key to the page when there was nothing to loop
+          if (this.handleLoopAction(loopAction)) {
+            event.preventDefault();
+            event.stopPropagation();
+          }
+        } else if (frameDirection && this.stepFrame(frameDirection)) {
+          // Only claim the key when a paused video was stepped
+          event.preventDefault();
+          event.stopPropagation();
+        }
       }
     } catch (error) {
       console.error("Video Speed Hotkey: Error in keydown handler:", error);
@@ -719,8 +1209,17 @@ class VideoSpeedController {
         event.preventDefault();
         event.stopPropagation();
 
-        if (this.speedLockActive) {
-          // Locked — just reset state so next keydown is treated as fresh
+        if (this.gestureRecognizer && this.getActivationMode() === "gestures") {
+          // Ends a held boost through handleGestureHoldEnd
+          this.gestureRecognizer.release();
+          this.resetHotkeyState();
+        } else if (
+          this.speedLockActive ||
+          this.hotkeyState.action === "toggle"
+        ) {
+          // Locked or toggled — drop any turbo and reset state so the next
+          // keydown is fresh
+          this.stopTurbo();
           this.resetHotkeyState();
         } else {
           this.deactivateSpeedBoost(event);
@@ -736,8 +1235,12 @@ class VideoSpeedController {
    */
   handleWindowBlur() {
     try {
+      // The key-up won't arrive, so drop any half-finished gesture
+      this.gestureRecognizer?.reset();
+
       // If speed is locked or preset active, don't reset
       if (this.speedLockActive) {
+        this.stopTurbo();
         this.resetHotkeyState();
         return;
       }
@@ -781,6 +1284,10 @@ class VideoSpeedController {
     try {
       if (document.hidden) {
         // Tab became hidden
+        if (this.speedLockActive && this.settings?.lockRelease?.onTabHidden) {
+          this.releaseSpeedLock();
+        }
+
         if (this.hotkeyState.isPressed) {
           // Reset speed boost when tab becomes hidden
           this.deactivateSpeedBoost();
@@ -890,104 +1397,285 @@ class VideoSpeedController {
   }
 
   /**
-   * Check if the current keyup event is for our configured hotkey
+   * Check if the current event matches the slow-down hotkey
    * @param {KeyboardEvent} event - The keyboard event
-   * @returns {boolean} True if this is our hotkey being released
+   * @returns {boolean} True if this is the slow-down hotkey
    */
-  isConfiguredHotkeyRelease(event) {
-    if (!this.hotkeyState.isPressed) {
+  isSlowDownHotkey(event) {
+    const slowDown = this.settings?.slowDown;
+    if (!slowDown || !slowDown.enabled) {
       return false;
     }
 
-    // Check if the released key matches our current hotkey
-    const eventKey = this.normalizeKey(event.key);
-    const currentKey = this.hotkeyState.currentKey;
-
-    return eventKey === currentKey;
+    return this.matchesHotkeyBinding(event, slowDown);
   }
 
   /**
-   * Normalize key names for consistent comparison
-   * @param {string} key - The key name from keyboard event
-   * @returns {string} Normalized key name
+   * Map an event to a step-up / step-down / reset speed action
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {string|null} "up", "down", "reset" or null if not a step key
    */
-  normalizeKey(key) {
-    if (!key) return "";
+  getSpeedStepAction(event) {
+    const speedStep = this.settings?.speedStep;
+    if (!speedStep || !speedStep.enabled) {
+      return null;
+    }
 
-    // Handle special cases
-    const keyMap = {
-      " ": "Space",
-      Spacebar: "Space",
-      Esc: "Escape",
-      Del: "Delete",
-      Ins: "Insert",
-      PgUp: "PageUp",
-      PgDn: "PageDown",
-      Left: "ArrowLeft",
-      Right: "ArrowRight",
-      Up: "ArrowUp",
-      Down: "ArrowDown",
-      "`": "Backquote", // Add backquote mapping
-      "~": "Backquote", // Shift+backquote also maps to Backquote
+    const bindings = {
+      up: speedStep.increaseKey,
+      down: speedStep.decreaseKey,
+      reset: speedStep.resetKey,
     };
 
-    return keyMap[key] || key;
+    for (const [action, key] of Object.entries(bindings)) {
+      if (
+        this.matchesHotkeyBinding(event, {
+          key,
+          modifiers: speedStep.modifiers,
+        })
+      ) {
+        return action;
+      }
+    }
+
+    return null;
   }
 
   /**
-   * Activate speed boost when hotkey is pressed
-   * @param {KeyboardEvent} event - The keyboard event that triggered activation
+   * Map an event to a seek direction
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {number} 1 for forward, -1 for backward, 0 if not a seek key
    */
-  activateSpeedBoost(event) {
-    try {
-      const now = Date.now();
-      const doubleTapMs = this.settings?.speedLock?.doubleTapMs ?? 300;
-      const isDoubleTap = now - this.lastHotkeyTapTime < doubleTapMs;
-      this.lastHotkeyTapTime = now;
-
-      // Double-tap toggles speed lock
-      if (this.settings?.speedLock?.enabled && isDoubleTap) {
-        if (this.speedLockActive) {
-          // Unlock
-          this.speedLockActive = false;
-          this.restoreOriginalSpeed();
-          this.hideSpeedIndicator();
-          this.resetHotkeyState();
-        } else {
-          // Lock
-          this.speedLockActive = true;
-          const multiplier = this.settings.speedMultiplier || 2.0;
-          this.applySpeedBoost(multiplier);
-          if (this.settings?.speedLock?.hideOverlay) {
-            this.showSpeedIndicator(multiplier);
-            setTimeout(() => {
-              if (this.speedLockActive) this.hideSpeedIndicator(true);
-            }, 500);
-          } else {
-            this.showSpeedIndicator(multiplier);
-          }
-          this.resetHotkeyState(); // don't set isPressed — lock handles it
-        }
-        return;
-      }
+  getSeekDirection(event) {
+    const seek = this.settings?.seek;
+    if (!seek || !seek.enabled) {
+      return 0;
+    }
 
-      // If speed lock is already active, single tap does nothing extra
-      // But mark key as pressed so OS key-repeats can't re-trigger this path
-      if (this.speedLockActive) {
-        this.hotkeyState.isPressed = true;
-        this.hotkeyState.currentKey = this.normalizeKey(event.key);
-        this.hotkeyState.preventMultipleActivations = true;
+    if (
+      this.matchesHotkeyBinding(event, {
+        key: seek.forwardKey,
+        modifiers: seek.modifiers,
+      })
+    ) {
+      return 1;
+    }
+    if (
+      this.matchesHotkeyBinding(event, {
+        key: seek.backwardKey,
+        modifiers: seek.modifiers,
+      })
+    ) {
+      return -1;
+    }
+    return 0;
+  }
+
+  /**
+   * Get the frame step direction for a keydown event
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {number} 1 for forward, -1 for backward, 0 if not a frame key
+   */
+  getFrameStepDirection(event) {
+    const frameStep = this.settings?.frameStep;
+    if (!frameStep || !frameStep.enabled) {
+      return 0;
+    }
+
+    if (
+      this.matchesHotkeyBinding(event, {
+        key: frameStep.forwardKey,
+        modifiers: frameStep.modifiers,
+      })
+    ) {
+      return 1;
+    }
+    if (
+      this.matchesHotkeyBinding(event, {
+        key: frameStep.backwardKey,
+        modifiers: frameStep.modifiers,
+      })
+    ) {
+      return -1;
+    }
+    return 0;
+  }
+
+  /**
+   * Get the A–B loop action for a keydown event, if any
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {string|null} "a", "b", "toggle", or null
+   */
+  getLoopAction(event) {
+    const loop = this.settings?.loop;
+    if (!loop || !loop.enabled) {
+      return null;
+    }
+
+    const bindings = [
+      ["a", loop.pointAKey],
+      ["b", loop.pointBKey],
+      ["toggle", loop.toggleKey],
+    ];
+    for (const [action, key] of bindings) {
+      const binding = { key, modifiers: loop.modifiers };
+      if (this.matchesHotkeyBinding(event, binding)) {
+        return action;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if an event matches a secondary hotkey binding.
+   * Bindings store KeyboardEvent.code values ("Digit1", "KeyQ"), so the
+   * event code is compared as well as the normalized key.
+   * @param {KeyboardEvent} event - The keyboard event
+   * @param {Object} binding - Object with key and modifiers fields
+   * @returns {boolean} True if the event matches the binding
+   */
+  matchesHotkeyBinding(event, binding) {
+    if (!binding || !binding.key) {
+      return false;
+    }
+
+    const configKey = this.normalizeKey(binding.key);
+    if (
+      event.code !== binding.key &&
+      this.normalizeKey(event.key) !== configKey
+    ) {
+      return false;
+    }
+
+    const requiredModifiers = binding.modifiers || [];
+
+    for (const modifier of ["ctrl", "alt", "shift", "meta"]) {
+      const isRequired = requiredModifiers.includes(modifier);
+      const isPressed = this.hotkeyState.modifiers[modifier];
+
+      if (isRequired !== isPressed) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if the current keyup event is for our configured hotkey
+   * @param {KeyboardEvent} event - The keyboard event
+   * @returns {boolean} True if this is our hotkey being released
+   */
+  isConfiguredHotkeyRelease(event) {
+    if (!this.hotkeyState.isPressed) {
+      return false;
+    }
+
+    // Check if the released key matches our current hotkey
+    const eventKey = this.normalizeKey(event.key);
+    const currentKey = this.hotkeyState.currentKey;
+
+    return eventKey === currentKey;
+  }
+
+  /**
+   * Normalize key names for consistent comparison
+   * @param {string} key - The key name from keyboard event
+   * @returns {string} Normalized key name
+   */
+  normalizeKey(key) {
+    if (!key) return "";
+
+    // Handle special cases
+    const keyMap = {
+      " ": "Space",
+      Spacebar: "Space",
+      Esc: "Escape",
+      Del: "Delete",
+      Ins: "Insert",
+      PgUp: "PageUp",
+      PgDn: "PageDown",
+      Left: "ArrowLeft",
+      Right: "ArrowRight",
+      Up: "ArrowUp",
+      Down: "ArrowDown",
+      "`": "Backquote", // Add backquote mapping
+      "~": "Backquote", // Shift+backquote also maps to Backquote
+    };
+
+    return keyMap[key] || key;
+  }
+
+  /**
+   * Activate speed boost when hotkey is pressed
+   * @param {KeyboardEvent} event - The keyboard event that triggered activation
+   */
+  activateSpeedBoost(event) {
+    try {
+      const mode = this.getActivationMode();
+
+      // Toggle mode: each tap switches the boost on or off, and it stays
+      // on without holding the key, which is exactly what the lock does
+      if (mode === "toggle") {
+        this.toggleSpeedLock();
+        // Held until keyup so OS key-repeats can't toggle it back
+        this.hotkeyState.isPressed = true;
+        this.hotkeyState.currentKey = this.normalizeKey(event.key);
+        this.hotkeyState.action = "toggle";
+        this.hotkeyState.preventMultipleActivations = true;
+        return;
+      }
+
+      // Gesture mode: the recognizer works out what the press means
+      if (mode === "gestures") {
+        this.hotkeyState.isPressed = true;
+        this.hotkeyState.currentKey = this.normalizeKey(event.key);
+        this.hotkeyState.action = "gesture";
+        this.hotkeyState.preventMultipleActivations = true;
+        this.getGestureRecognizer()?.press();
+        return;
+      }
+
+      const now = Date.now();
+      const doubleTapMs = this.settings?.speedLock?.doubleTapMs ?? 300;
+      const isDoubleTap = now - this.lastHotkeyTapTime < doubleTapMs;
+      this.lastHotkeyTapTime = now;
+
+      // Double-tap toggles speed lock (a rule-engaged lock can always be
+      // released this way, even in plain hold mode)
+      if (isDoubleTap && (mode === "holdLock" || this.speedLockActive)) {
+        this.toggleSpeedLock();
+        this.resetHotkeyState(); // don't set isPressed — lock handles it
+        return;
+      }
+
+      // If speed lock is already active, holding the key only adds turbo
+      // (when configured). Mark the key as pressed so OS key-repeats can't
+      // re-trigger this path.
+      if (this.speedLockActive) {
+        this.hotkeyState.isPressed = true;
+        this.hotkeyState.currentKey = this.normalizeKey(event.key);
+        this.hotkeyState.preventMultipleActivations = true;
+        this.startTurbo();
         return;
       }
 
       // Normal hold-to-boost
       this.hotkeyState.isPressed = true;
       this.hotkeyState.currentKey = this.normalizeKey(event.key);
+      this.hotkeyState.action = "boost";
       this.hotkeyState.preventMultipleActivations = true;
-      const multiplier = this.settings.speedMultiplier || 2.0;
+      const ramp = this.settings?.ramp;
+      const multiplier = this.getBoostRate(
+        this.getActiveVideo(),
+        ramp?.enabled ? ramp.startMultiplier : undefined,
+      );
       const success = this.applySpeedBoost(multiplier);
       if (success) {
         this.showSpeedIndicator(multiplier);
+        if (ramp?.enabled) {
+          this.startSpeedRamp(multiplier);
+        }
       } else {
         this.resetHotkeyState();
       }
@@ -998,36 +1686,1682 @@ class VideoSpeedController {
   }
 
   /**
-   * Deactivate speed boost when hotkey is released
-   * @param {KeyboardEvent} event - The keyboard event that triggered deactivation (optional)
+   * How the boost hotkey activates: "hold", "toggle", "holdLock" or
+   * "gestures"
+   * @returns {string} Activation mode from settings
    */
-  deactivateSpeedBoost(event = null) {
+  getActivationMode() {
+    return this.settings?.hotkey?.activationMode || "hold";
+  }
+
+  /**
+   * Gesture recognizer for the boost key, built from settings.gestures
+   * @returns {GestureRecognizer|null} Recognizer, or null if unavailable
+   */
+  getGestureRecognizer() {
+    const gestures = this.settings?.gestures;
+    const { GestureRecognizer, GESTURE_NAMES } =
+      globalThis.PulsePlayGestures || {};
+    if (!this.gestureRecognizer && gestures && GestureRecognizer) {
+      this.gestureRecognizer = new GestureRecognizer({
+        thresholds: gestures,
+        bound: GESTURE_NAMES.filter(
+          (gesture) => gestures[gesture] && gestures[gesture] !== "none",
+        ),
+        onGesture: (gesture) => this.handleGesture(gesture),
+        onHoldEnd: () => this.handleGestureHoldEnd(),
+      });
+    }
+    return this.gestureRecognizer;
+  }
+
+  /**
+   * Run the action bound to a recognized boost key gesture
+   * @param {string} gesture - Gesture name, e.g. "doubleTap" or "hold"
+   */
+  handleGesture(gesture) {
     try {
-      // Don't deactivate if speed is locked
-      if (this.speedLockActive) return;
-      // Don't deactivate if a preset is active
+      switch (this.settings?.gestures?.[gesture]) {
+        case "boost":
+          if (gesture === "hold") {
+            this.startGestureBoost();
+          } else {
+            // A boost that isn't held down stays on until the next gesture
+            this.toggleSpeedLock();
+          }
+          break;
+        case "lock":
+          this.toggleSpeedLock();
+          break;
+        case "stepUp":
+          this.stepBaseSpeed("up");
+          break;
+        case "reset":
+          this.stepBaseSpeed("reset");
+          break;
+        case "rewind":
+          this.seekActiveVideo(-1);
+          break;
+      }
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error handling gesture:", error);
+    }
+  }
 
-      // Only deactivate if currently active
-      if (!this.hotkeyState.isPressed) {
-        return;
+  /**
+   * Boost while the key stays held after a hold gesture
+   */
+  startGestureBoost() {
+    // The lock owns the playback rate; holding only adds turbo
+    if (this.speedLockActive) {
+      this.startTurbo();
+      return;
+    }
+
+    const ramp = this.settings?.ramp;
+    const multiplier = this.getBoostRate(
+      this.getActiveVideo(),
+      ramp?.enabled ? ramp.startMultiplier : undefined,
+    );
+    if (this.applySpeedBoost(multiplier)) {
+      this.hotkeyState.action = "boost";
+      this.showSpeedIndicator(multiplier);
+      if (ramp?.enabled) {
+        this.startSpeedRamp(multiplier);
       }
+    }
+  }
 
-      // Restore original speed
-      const success = this.restoreOriginalSpeed();
+  /**
+   * End a held gesture boost (a long-press lock keeps it going)
+   */
+  handleGestureHoldEnd() {
+    this.stopTurbo();
+    if (this.hotkeyState.action === "boost") {
+      this.deactivateSpeedBoost();
+    }
+  }
 
-      if (success) {
-        // Hide speed indicator
-        this.hideSpeedIndicator();
+  /**
+   * Engage speed lock, or release it if it is already engaged
+   */
+  toggleSpeedLock() {
+    if (this.speedLockActive) {
+      this.releaseSpeedLock();
+    } else {
+      this.engageSpeedLock();
+    }
+  }
+
+  /**
+   * Boost multiplier for the current page, honouring a matching site rule
+   * @returns {number} Multiplier used by hold-to-boost and speed lock
+   */
+  getBoostMultiplier() {
+    return (
+      this.activeRule?.speedMultiplier || this.settings?.speedMultiplier || 2.0
+    );
+  }
+
+  /**
+   * Rate a boost plays at. In relative boost mode the multiplier scales the
+   * rate the video played at before the boost (its originalRate once
+   * boosted), clamped to the 16x ceiling.
+   * @param {HTMLVideoElement} [video] - Video to boost (defaults to active)
+   * @param {number} [multiplier] - Multiplier to apply (defaults to the
+   *   boost multiplier; the speed ramp passes its own)
+   * @returns {number} Boosted playback rate
+   */
+  getBoostRate(
+    video = this.getActiveVideo(),
+    multiplier = this.getBoostMultiplier(),
+  ) {
+    if (this.settings?.boostMode !== "relative" || !video) {
+      return multiplier;
+    }
+
+    const videoState = this.trackedVideos.get(video);
+    const baseRate =
+      videoState?.isSpeedBoosted || videoState?.isSilenceSkipping
+        ? videoState.originalRate
+        : this.getTargetRate(video);
+    return Math.min(baseRate * multiplier, 16);
+  }
+
+  /**
+   * Lock the active video at the boost multiplier until released
+   * @param {number} [engagedAt] - When the lock was first engaged; a lock
+   *   carried over keeps its original lockRelease.afterMinutes deadline
+   * @returns {boolean} True if the boost was applied
+   */
+  engageSpeedLock(engagedAt = Date.now()) {
+    this.speedLockActive = true;
+    this.pendingLockFollow = false;
+    this.scheduleLockRelease(engagedAt);
+    const multiplier = this.getBoostRate();
+    const success = this.applySpeedBoost(multiplier);
+    if (this.settings?.speedLock?.hideOverlay) {
+      this.showSpeedIndicator(multiplier);
+      setTimeout(() => {
+        if (this.speedLockActive) this.hideSpeedIndicator(true);
+      }, 500);
+    } else {
+      this.showSpeedIndicator(multiplier);
+    }
+    return success;
+  }
+
+  /**
+   * Carry a lock that "lock follows me" kept across navigation or a new
+   * source over to the video that is now active. Re-engaging shows the
+   * indicator again, which confirms the lock is still on.
+   * @returns {boolean} True if the lock was re-engaged
+   */
+  resumeSpeedLock() {
+    if (!this.pendingLockFollow || !this.getActiveVideo()) {
+      return false;
+    }
+    return this.engageSpeedLock(this.lockEngagedAt ?? Date.now());
+  }
+
+  /**
+   * Release speed lock and return to the pre-lock rate
+   */
+  releaseSpeedLock() {
+    this.clearSpeedLock();
+    this.restoreOriginalSpeed();
+    this.hideSpeedIndicator(true);
+  }
+
+  /**
+   * Forget the speed lock and its release timers without touching any
+   * video's rate
+   */
+  clearSpeedLock() {
+    this.speedLockActive = false;
+    this.pendingLockFollow = false;
+    this.turboState = null; // restoring goes straight to the pre-lock rate
+    this.lockEngagedAt = null;
+    clearTimeout(this.lockReleaseTimer);
+    clearTimeout(this.lockPauseTimer);
+    this.lockReleaseTimer = null;
+    this.lockPauseTimer = null;
+  }
+
+  /**
+   * While the key is held on an active lock, play at the locked rate times
+   * speedLock.turboMultiplier. The locked rate is kept here rather than in
+   * originalRate, which still holds the pre-lock rate for unlocking.
+   * @returns {boolean} True if turbo was applied
+   */
+  startTurbo() {
+    const turbo = this.settings?.speedLock?.turboMultiplier;
+    const video = this.getActiveVideo();
+    if (
+      !(turbo > 1) ||
+      this.turboState ||
+      !video ||
+      !this.trackedVideos.get(video)?.isSpeedBoosted
+    ) {
+      return false;
+    }
+
+    const lockedRate = this.getTargetRate(video);
+    const rate = Math.min(lockedRate * turbo, 16);
+    this.turboState = { video, lockedRate };
+    this.setPlaybackRate(video, rate);
+    this.applyPitchPreservation(video, rate);
+    this.showSpeedIndicator(rate, { icon: "boost" });
+    return true;
+  }
+
+  /**
+   * Return from turbo to the locked rate when the key is released
+   */
+  stopTurbo() {
+    const state = this.turboState;
+    if (!state) {
+      return;
+    }
+    this.turboState = null;
+
+    if (
+      this.speedLockActive &&
+      this.trackedVideos.get(state.video)?.isSpeedBoosted
+    ) {
+      this.setPlaybackRate(state.video, state.lockedRate);
+      this.applyPitchPreservation(state.video, state.lockedRate);
+      if (this.settings?.speedLock?.hideOverlay) {
+        this.hideSpeedIndicator(true);
+      } else {
+        this.showSpeedIndicator(state.lockedRate);
+      }
+    }
+  }
+
+  /**
+   * Start the lockRelease.afterMinutes countdown, counting from when the
+   * lock was first engaged
+   * @param {number} engagedAt - When the lock was first engaged
+   */
+  scheduleLockRelease(engagedAt) {
+    clearTimeout(this.lockReleaseTimer);
+    this.lockReleaseTimer = null;
+    this.lockEngagedAt = engagedAt;
+
+    const minutes = this.settings?.lockRelease?.afterMinutes;
+    if (minutes > 0) {
+      const remaining = engagedAt + minutes * 60000 - Date.now();
+      this.lockReleaseTimer = setTimeout(() => {
+        this.lockReleaseTimer = null;
+        if (this.speedLockActive || this.pendingLockFollow) {
+          this.releaseSpeedLock();
+        }
+      }, Math.max(remaining, 0));
+    }
+  }
+
+  /**
+   * Activate hold-to-slow when the slow-down hotkey is pressed
+   * @param {KeyboardEvent} event - The keyboard event that triggered activation
+   */
+  activateSlowDown(event) {
+    try {
+      // Speed lock owns the playback rate until it is released
+      if (this.speedLockActive) {
+        return;
       }
 
-      // Reset hotkey state
-      this.resetHotkeyState();
-    } catch (error) {
-      console.error(
-        "Video Speed Hotkey: Error deactivating speed boost:",
-        error,
-      );
-      this.resetHotkeyState();
+      this.hotkeyState.isPressed = true;
+      this.hotkeyState.currentKey = this.normalizeKey(event.key);
+      this.hotkeyState.action = "slow";
+      this.hotkeyState.preventMultipleActivations = true;
+      const multiplier = this.settings.slowDown.speedMultiplier || 0.5;
+      const success = this.applySpeedBoost(multiplier);
+      if (success) {
+        this.showSpeedIndicator(multiplier);
+      } else {
+        this.resetHotkeyState();
+      }
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error activating slow-down:", error);
+      this.resetHotkeyState();
+    }
+  }
+
+  /**
+   * Deactivate speed boost when hotkey is released
+   * @param {KeyboardEvent} event - The keyboard event that triggered deactivation (optional)
+   */
+  deactivateSpeedBoost(event = null) {
+    try {
+      // Don't deactivate if speed is locked
+      if (this.speedLockActive) return;
+      // Don't deactivate if a preset is active
+
+      // Only deactivate if currently active
+      if (!this.hotkeyState.isPressed) {
+        return;
+      }
+
+      this.stopSpeedRamp();
+
+      const releasedAction = this.hotkeyState.action;
+      const video = this.getActiveVideo();
+      const boostStartTime = video
+        ? this.trackedVideos.get(video)?.boostStartTime
+        : undefined;
+
+      // Restore original speed
+      const success = this.restoreOriginalSpeed();
+
+      if (success) {
+        // Hide speed indicator
+        this.hideSpeedIndicator();
+
+        if (releasedAction === "boost") {
+          this.rewindAfterBoost(video, boostStartTime);
+        }
+      }
+
+      // Reset hotkey state
+      this.resetHotkeyState();
+    } catch (error) {
+      console.error(
+        "Video Speed Hotkey: Error deactivating speed boost:",
+        error,
+      );
+      this.resetHotkeyState();
+    }
+  }
+
+  /**
+   * Seek back after a hold-to-boost so the skimmed sentence can be heard
+   * again. Live streams are left alone and the seek never leaves the
+   * seekable range.
+   * @param {HTMLVideoElement|null} video - Video that was boosted
+   * @param {number|undefined} boostStartTime - Media time the boost began
+   * @returns {number} Seconds rewound (0 if nothing happened)
+   */
+  rewindAfterBoost(video, boostStartTime) {
+    try {
+      const config = this.settings?.rewind;
+      if (!config?.enabled || !video || !isFinite(video.duration)) {
+        return 0;
+      }
+
+      const currentTime = video.currentTime;
+      let amount = config.seconds;
+      if (config.mode === "percent") {
+        const boostedSpan =
+          typeof boostStartTime === "number" ? currentTime - boostStartTime : 0;
+        amount = (Math.max(boostedSpan, 0) * config.percent) / 100;
+      }
+      if (!(amount > 0)) {
+        return 0;
+      }
+
+      // Stay inside the seekable range the current position belongs to
+      const seekable = video.seekable;
+      let earliest = 0;
+      if (seekable && seekable.length > 0) {
+        earliest = null;
+        for (let i = 0; i < seekable.length; i++) {
+          if (
+            seekable.start(i) <= currentTime &&
+            currentTime <= seekable.end(i)
+          ) {
+            earliest = seekable.start(i);
+            break;
+          }
+        }
+        if (earliest === null) {
+          return 0;
+        }
+      }
+
+      const target = Math.max(currentTime - amount, earliest);
+      const rewound = currentTime - target;
+      if (rewound < 0.05) {
+        return 0;
+      }
+
+      video.currentTime = target;
+
+      this.showSpeedIndicator(video.playbackRate, {
+        text: `↺ ${this.formatSeconds(rewound)}s`,
+        icon: null,
+      });
+
+      return rewound;
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error rewinding after boost:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Jump the active video forward or back. The step scales with the
+   * playback rate, so the same key press covers the same amount of
+   * wall-clock listening at any speed.
+   * @param {number} direction - 1 to seek forward, -1 to seek back
+   * @returns {number} Seconds actually moved
+   */
+  seekActiveVideo(direction) {
+    try {
+      const video = this.getActiveVideo();
+      if (!video) {
+        return 0;
+      }
+
+      const seek = this.settings?.seek;
+      const rate = seek?.scaleWithSpeed ? this.getTargetRate(video) : 1;
+      const step = (seek?.seconds || 5) * rate;
+      const currentTime = video.currentTime;
+
+      let target = Math.max(currentTime + direction * step, 0);
+      if (isFinite(video.duration)) {
+        target = Math.min(target, video.duration);
+      }
+      const seekable = video.seekable;
+      if (seekable && seekable.length > 0) {
+        target = Math.min(
+          Math.max(target, seekable.start(0)),
+          seekable.end(seekable.length - 1),
+        );
+      }
+
+      const moved = Math.abs(target - currentTime);
+      if (moved < 0.05) {
+        return 0;
+      }
+
+      video.currentTime = target;
+
+      const sign = direction > 0 ? "+" : "−";
+      this.flashSpeedIndicator(video.playbackRate, {
+        text: `${sign}${this.formatSeconds(moved)}s`,
+        icon: null,
+      });
+
+      return moved;
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error seeking video:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Format a seek distance for the indicator: whole seconds where possible,
+   * otherwise one decimal place
+   * @param {number} seconds - Distance in seconds
+   * @returns {string} Formatted number without unit
+   */
+  formatSeconds(seconds) {
+    return seconds >= 10 || Number.isInteger(seconds)
+      ? String(Math.round(seconds))
+      : seconds.toFixed(1);
+  }
+
+  /**
+   * Step the paused active video one frame forward or back. The frame
+   * length comes from requestVideoFrameCallback when it has been measured,
+   * otherwise from frameStep.fallbackFps.
+   * @param {number} direction - 1 for forward, -1 for backward
+   * @returns {boolean} True if a paused video was stepped
+   */
+  stepFrame(direction) {
+    try {
+      const video = this.getActiveVideo({ preferPaused: true });
+      if (!video || !video.paused) {
+        return false;
+      }
+
+      const frameDuration = this.getFrameDuration(video);
+      // Work in whole frames so repeated steps don't drift
+      const frame = Math.max(
+        Math.round(video.currentTime / frameDuration) + direction,
+        0,
+      );
+      let target = frame * frameDuration;
+      if (isFinite(video.duration)) {
+        target = Math.min(target, video.duration);
+      }
+
+      video.currentTime = target;
+
+      const seconds = Math.floor(target);
+      const millis = String(Math.round((target - seconds) * 1000)).padStart(
+        3,
+        "0",
+      );
+      this.flashSpeedIndicator(video.playbackRate, {
+        text: `${this.formatDuration(seconds)}.${millis} · frame ${frame}`,
+        icon: null,
+      });
+
+      return true;
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error stepping frame:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Length of one frame of a video in seconds
+   * @param {HTMLVideoElement} video - Video to measure
+   * @returns {number} Measured frame duration, or the configured fallback
+   */
+  getFrameDuration(video) {
+    const measured = this.trackedVideos.get(video)?.frameDuration;
+    if (measured) {
+      return measured;
+    }
+    return 1 / (this.settings?.frameStep?.fallbackFps || 30);
+  }
+
+  /**
+   * Measure a playing video's frame rate with requestVideoFrameCallback:
+   * the media time between two consecutively presented frames is one frame.
+   * Dropped frames only make a gap longer, so the shortest gap is used.
+   * @param {HTMLVideoElement} video - Video that is playing
+   */
+  learnFrameRate(video) {
+    const videoState = this.trackedVideos.get(video);
+    if (
+      typeof video.requestVideoFrameCallback !== "function" ||
+      !videoState ||
+      videoState.frameDuration ||
+      videoState.learningFrameRate
+    ) {
+      return;
+    }
+
+    videoState.learningFrameRate = true;
+    const gaps = [];
+    let previous = null;
+
+    const onFrame = (now, metadata) => {
+      if (
+        previous &&
+        metadata.presentedFrames - previous.presentedFrames === 1 &&
+        metadata.mediaTime > previous.mediaTime
+      ) {
+        gaps.push(metadata.mediaTime - previous.mediaTime);
+      }
+      previous = metadata;
+
+      if (gaps.length >= 10) {
+        videoState.frameDuration = Math.min(...gaps);
+        videoState.learningFrameRate = false;
+      } else if (video.paused || video.ended) {
+        videoState.learningFrameRate = false;
+      } else {
+        video.requestVideoFrameCallback(onFrame);
+      }
+    };
+    video.requestVideoFrameCallback(onFrame);
+  }
+
+  /**
+   * Set loop point A or B at the current position, or toggle the loop.
+   * Setting B starts looping straight away.
+   * @param {string} action - "a", "b" or "toggle"
+   * @returns {boolean} True if the loop changed
+   */
+  handleLoopAction(action) {
+    try {
+      const video = this.getActiveVideo();
+      if (!video) {
+        return false;
+      }
+
+      if (this.loopState && this.loopState.video !== video) {
+        this.clearLoop();
+      }
+      const state = (this.loopState = this.loopState || {
+        video,
+        a: null,
+        b: null,
+        active: false,
+        previousRate: null,
+      });
+      const time = video.currentTime;
+
+      if (action === "a") {
+        state.a = time;
+        // B has to stay after A
+        if (state.b !== null && state.b <= time) {
+          state.b = null;
+          this.setLoopActive(false);
+        }
+      } else if (action === "b") {
+        if (state.a === null || time <= state.a) {
+          this.flashSpeedIndicator(this.getTargetRate(video), {
+            icon: "loop",
+            text: "Set A before B",
+          });
+          return false;
+        }
+        state.b = time;
+        this.setLoopActive(true);
+      } else if (state.a === null || state.b === null) {
+        this.flashSpeedIndicator(this.getTargetRate(video), {
+          icon: "loop",
+          text: "Set A and B first",
+        });
+        return false;
+      } else {
+        this.setLoopActive(!state.active);
+      }
+
+      this.flashSpeedIndicator(this.getTargetRate(video), { icon: "loop" });
+      return true;
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error updating A–B loop:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Turn looping on or off, switching to the loop's own rate and back
+   * @param {boolean} active - Whether the loop should run
+   */
+  setLoopActive(active) {
+    const state = this.loopState;
+    if (!state || state.active === active) {
+      return;
+    }
+    state.active = active;
+    const { video } = state;
+    const loopRate = this.settings?.loop?.playbackRate;
+
+    if (active) {
+      if (loopRate) {
+        const videoState = this.trackedVideos.get(video);
+        state.previousRate = videoState?.isSpeedBoosted
+          ? videoState.originalRate
+          : this.getTargetRate(video);
+        this.setBaseRate(video, loopRate);
+      }
+      if (video.currentTime < state.a || video.currentTime >= state.b) {
+        video.currentTime = state.a;
+      }
+    } else if (state.previousRate !== null) {
+      this.setBaseRate(video, state.previousRate);
+      state.previousRate = null;
+    }
+  }
+
+  /**
+   * Jump back to A once playback reaches B. Called from timeupdate.
+   * @param {HTMLVideoElement} video - Video that is playing
+   */
+  updateLoop(video) {
+    const state = this.loopState;
+    if (
+      state?.active &&
+      state.video === video &&
+      video.currentTime >= state.b
+    ) {
+      video.currentTime = state.a;
+    }
+  }
+
+  /**
+   * Forget the loop points, restoring the rate from before the loop
+   */
+  clearLoop() {
+    if (!this.loopState) {
+      return;
+    }
+    this.setLoopActive(false);
+    this.loopState = null;
+  }
+
+  /**
+   * Raise, lower or reset the persistent base rate of the active video.
+   * The stepped rate becomes the video's originalRate, so hold-to-boost and
+   * speed lock return to it on release.
+   * @param {string} action - "up", "down" or "reset"
+   * @returns {boolean} True if the base rate was changed
+   */
+  stepBaseSpeed(action) {
+    try {
+      const activeVideo = this.getActiveVideo();
+      if (!activeVideo) {
+        return false;
+      }
+
+      let videoState = this.trackedVideos.get(activeVideo);
+      if (!videoState) {
+        videoState = {
+          originalRate: activeVideo.playbackRate,
+          isSpeedBoosted: false,
+          platform: this.detectPlatform(activeVideo),
+          lastInteraction: Date.now(),
+        };
+        this.trackedVideos.set(activeVideo, videoState);
+      }
+
+      const increment = this.settings?.speedStep?.increment || 0.25;
+      let nextRate = 1.0;
+      if (action === "up") {
+        nextRate = videoState.originalRate + increment;
+      } else if (action === "down") {
+        nextRate = videoState.originalRate - increment;
+      }
+      // Round away floating point drift and stay inside browser limits
+      nextRate = Math.min(
+        Math.max(Math.round(nextRate * 100) / 100, 0.25),
+        16,
+      );
+
+      videoState.originalRate = nextRate;
+      if (!videoState.isSpeedBoosted && !videoState.isSilenceSkipping) {
+        this.setPlaybackRate(activeVideo, nextRate);
+      }
+
+      this.flashSpeedIndicator(nextRate, { icon: "step" });
+      return true;
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error stepping base speed:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Briefly show a rate on the indicator. While a boost or lock is showing
+   * its own rate, the indicator returns to that rate after the timeout.
+   * @param {number} speed - Speed to display
+   * @param {Object} [options] - Display options passed to showSpeedIndicator
+   */
+  flashSpeedIndicator(speed, options = {}) {
+    this.showSpeedIndicator(speed, options);
+
+    if (!this.speedLockActive && !this.hotkeyState.isPressed) {
+      return; // Regular auto-hide timer takes care of it
+    }
+
+    clearTimeout(this.flashTimer);
+    this.flashTimer = setTimeout(() => {
+      this.flashTimer = null;
+      const video = this.lastActiveVideo;
+      if (this.speedLockActive && this.settings?.speedLock?.hideOverlay) {
+        this.hideSpeedIndicator(true);
+      } else if (
+        video &&
+        (this.speedLockActive || this.hotkeyState.isPressed)
+      ) {
+        this.showSpeedIndicator(video.playbackRate);
+      }
+    }, this.settings?.ui?.indicatorTimeout ?? 2000);
+  }
+
+  /**
+   * Start climbing the boosted rate in steps while the hotkey is held. In
+   * relative boost mode the step and ceiling scale with the pre-boost rate,
+   * like the start rate.
+   * @param {number} startRate - Rate the boost started at
+   */
+  startSpeedRamp(startRate) {
+    this.stopSpeedRamp();
+
+    const ramp = this.settings?.ramp;
+    const video = this.lastActiveVideo;
+    if (!ramp || !video) {
+      return;
+    }
+    const maxRate = this.getBoostRate(video, ramp.maxMultiplier);
+    if (startRate >= maxRate) {
+      return;
+    }
+
+    this.rampState = {
+      video,
+      rate: startRate,
+      step: this.getBoostRate(video, ramp.stepMultiplier),
+      maxRate,
+    };
+    this.rampTimer = setInterval(
+      () => this.stepSpeedRamp(),
+      ramp.stepIntervalMs || 1000,
+    );
+  }
+
+  /**
+   * Advance the speed ramp by one step, stopping at the configured ceiling
+   */
+  stepSpeedRamp() {
+    try {
+      const ramp = this.settings?.ramp;
+      const videoState =
+        this.rampState && this.trackedVideos.get(this.rampState.video);
+
+      // Stop if the key was released or the boost was undone elsewhere
+      if (
+        !ramp ||
+        !videoState ||
+        !videoState.isSpeedBoosted ||
+        !this.hotkeyState.isPressed ||
+        this.speedLockActive
+      ) {
+        this.stopSpeedRamp();
+        return;
+      }
+
+      const { step, maxRate } = this.rampState;
+      const nextRate = Math.min(this.rampState.rate + step, maxRate);
+      this.setPlaybackRate(this.rampState.video, nextRate);
+      this.rampState.rate = nextRate;
+      this.applyPitchPreservation(this.rampState.video, nextRate);
+      this.updateSpeedIndicator(nextRate);
+
+      if (nextRate >= maxRate) {
+        this.stopSpeedRamp();
+      }
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error stepping speed ramp:", error);
+      this.stopSpeedRamp();
+    }
+  }
+
+  /**
+   * Stop the speed ramp timer, leaving the current rate in place
+   */
+  stopSpeedRamp() {
+    if (this.rampTimer) {
+      clearInterval(this.rampTimer);
+      this.rampTimer = null;
+    }
+    this.rampState = null;
+  }
+
+  /**
+   * Start or stop silence skipping to match the current settings
+   * @param {HTMLVideoElement|null} video - Video to monitor, if known
+   */
+  updateSilenceSkipping(video = null) {
+    if (!this.settings?.silenceSkip?.enabled) {
+      this.stopSilenceSkipping();
+      return;
+    }
+
+    const target = video || this.getActiveVideo();
+    if (target && !target.paused) {
+      this.startSilenceSkipping(target);
+    }
+  }
+
+  /**
+   * Whether a video's audio can be analysed at all. Cross-origin media
+   * without CORS reaches Web Audio as silence, and once routed there the
+   * video itself goes silent too, so it is never connected.
+   * @param {HTMLVideoElement} video - Video to check
+   * @returns {boolean} True if the media is same-origin or CORS-enabled
+   */
+  canAnalyseAudio(video) {
+    const src = video.currentSrc || video.src;
+    if (!src) {
+      return false;
+    }
+
+    try {
+      const url = new URL(src, window.location.href);
+      return (
+        url.protocol === "data:" ||
+        url.origin === window.location.origin ||
+        !!video.crossOrigin
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * The page's AudioContext, once it is running. It is only created or
+   * resumed after the user has interacted with the page: browsers keep a
+   * context started without a gesture suspended, and media routed into a
+   * suspended context plays without sound. Silence skipping is retried
+   * when a pending resume goes through.
+   * @returns {AudioContext|null} Running context, or null if not available
+   */
+  getRunningAudioContext() {
+    if (this.audioContext?.state === "running") {
+      return this.audioContext;
+    }
+    if (!window.navigator?.userActivation?.hasBeenActive) {
+      return null;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      return null;
+    }
+
+    this.audioContext = this.audioContext || new AudioContextClass();
+    if (this.audioContext.state === "running") {
+      return this.audioContext;
+    }
+    this.audioContext
+      .resume()
+      .then(() => this.updateSilenceSkipping())
+      .catch(() => {});
+    return null;
+  }
+
+  /**
+   * Route a video's audio through an AnalyserNode. A media element can only
+   * be connected to one source node, so the graph is created once per video
+   * and kept for the life of the page.
+   * @param {HTMLVideoElement} video - Video to analyse
+   * @returns {Object|null} { source, analyser, samples } or null if the
+   *   audio can't be analysed (yet)
+   */
+  getAudioAnalyser(video) {
+    try {
+      let graph = this.audioGraphs.get(video);
+      if (graph) {
+        return graph.bypassed ? null : graph;
+      }
+
+      if (!this.canAnalyseAudio(video)) {
+        return null;
+      }
+      const context = this.getRunningAudioContext();
+      if (!context) {
+        return null;
+      }
+
+      const source = context.createMediaElementSource(video);
+      const analyser = context.createAnalyser();
+      analyser.fftSize = 2048;
+      source.connect(analyser);
+      analyser.connect(context.destination);
+
+      graph = {
+        source,
+        analyser,
+        samples: new Float32Array(analyser.fftSize),
+      };
+      this.audioGraphs.set(video, graph);
+      return graph;
+    } catch (error) {
+      console.warn("Video Speed Hotkey: Cannot analyse video audio:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Take the analyser back out of a video's audio path and wire the source
+   * straight to the output, so playback no longer depends on it. The
+   * element can't be detached from the context, so the video is not
+   * analysed again on this page.
+   * @param {HTMLVideoElement} video - Video whose graph is bypassed
+   */
+  bypassAudioAnalyser(video) {
+    const graph = this.audioGraphs.get(video);
+    if (!graph || graph.bypassed) {
+      return;
+    }
+
+    try {
+      graph.source.disconnect();
+      graph.analyser.disconnect();
+      graph.source.connect(this.audioContext.destination);
+    } catch (error) {
+      console.warn("Video Speed Hotkey: Cannot bypass audio analyser:", error);
+    }
+    graph.bypassed = true;
+  }
+
+  /**
+   * Begin sampling the loudness of a video to skip its silent stretches
+   * @param {HTMLVideoElement} video - Video to monitor
+   * @returns {boolean} True if monitoring is running
+   */
+  startSilenceSkipping(video) {
+    if (this.silenceState?.video === video) {
+      return true;
+    }
+
+    this.stopSilenceSkipping();
+
+    const graph = this.getAudioAnalyser(video);
+    if (!graph) {
+      return false;
+    }
+
+    this.silenceState = {
+      video,
+      graph,
+      quietSince: null,
+      startedAt: Date.now(),
+      heardSound: false,
+    };
+    this.silenceTimer = setInterval(() => this.checkSilence(), 50);
+    return true;
+  }
+
+  /**
+   * Sample the analyser once and speed up or drop back as needed
+   */
+  checkSilence() {
+    try {
+      const config = this.settings?.silenceSkip;
+      const state = this.silenceState;
+      if (!config?.enabled || !state) {
+        this.stopSilenceSkipping();
+        return;
+      }
+
+      const { video, graph } = state;
+      if (video.paused || video.muted || !video.isConnected) {
+        state.quietSince = null;
+        this.endSilenceSkip(video);
+        return;
+      }
+
+      graph.analyser.getFloatTimeDomainData(graph.samples);
+      let sumOfSquares = 0;
+      for (const sample of graph.samples) {
+        sumOfSquares += sample * sample;
+      }
+      if (sumOfSquares > 0) {
+        state.heardSound = true;
+      }
+
+      // Cross-origin media without CORS reaches the analyser as pure zeros;
+      // treating that as silence would fast-forward the whole video
+      if (!state.heardSound) {
+        if (Date.now() - state.startedAt > 3000) {
+          console.warn(
+            "Video Speed Hotkey: No audio data available, silence skipping disabled for this video",
+          );
+          this.bypassAudioAnalyser(video);
+          this.stopSilenceSkipping();
+        }
+        return;
+      }
+
+      const rms = Math.sqrt(sumOfSquares / graph.samples.length);
+      const levelDb = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+      const now = Date.now();
+
+      if (levelDb < config.thresholdDb) {
+        if (state.quietSince === null) {
+          state.quietSince = now;
+        }
+        if (now - state.quietSince >= config.minSilenceMs) {
+          this.beginSilenceSkip(video);
+        }
+      } else {
+        state.quietSince = null;
+        this.endSilenceSkip(video);
+      }
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error checking silence:", error);
+      this.stopSilenceSkipping();
+    }
+  }
+
+  /**
+   * Raise the rate of a silent video. Boosted or locked videos are left
+   * alone; originalRate keeps the speech rate to return to.
+   * @param {HTMLVideoElement} video - Video that went quiet
+   */
+  beginSilenceSkip(video) {
+    const videoState = this.trackedVideos.get(video);
+    const multiplier = this.settings?.silenceSkip?.speedMultiplier;
+    if (
+      !videoState ||
+      videoState.isSpeedBoosted ||
+      videoState.isSilenceSkipping ||
+      !(multiplier > videoState.originalRate)
+    ) {
+      return;
+    }
+
+    videoState.isSilenceSkipping = true;
+    this.setPlaybackRate(video, multiplier);
+    this.applyPitchPreservation(video, multiplier);
+  }
+
+  /**
+   * Drop a video back to its speech rate once sound resumes
+   * @param {HTMLVideoElement} video - Video to restore
+   */
+  endSilenceSkip(video) {
+    const videoState = this.trackedVideos.get(video);
+    if (!videoState || !videoState.isSilenceSkipping) {
+      return;
+    }
+
+    videoState.isSilenceSkipping = false;
+    if (!videoState.isSpeedBoosted) {
+      this.setPlaybackRate(video, videoState.originalRate);
+      this.applyPitchPreservation(video, videoState.originalRate);
+    }
+  }
+
+  /**
+   * Stop silence monitoring and undo any skip in progress. The audio graph
+   * stays connected, since a media element cannot be detached from it.
+   */
+  stopSilenceSkipping() {
+    if (this.silenceTimer) {
+      clearInterval(this.silenceTimer);
+      this.silenceTimer = null;
+    }
+    if (this.silenceState) {
+      this.endSilenceSkip(this.silenceState.video);
+      this.silenceState = null;
+    }
+  }
+
+  /**
+   * Keep adjusting the active video's rate so it ends by a deadline
+   * @param {number} deadline - Wall-clock time (ms since epoch) to finish by
+   * @returns {number|null} The starting rate, or null if there is no
+   *   finite video to pace
+   */
+  startFinishBy(deadline) {
+    const video = this.getActiveVideo();
+    if (!video || !isFinite(video.duration) || !(deadline > Date.now())) {
+      return null;
+    }
+
+    this.stopFinishBy();
+
+    let videoState = this.trackedVideos.get(video);
+    if (!videoState) {
+      videoState = {
+        originalRate: video.playbackRate,
+        isSpeedBoosted: false,
+        platform: this.detectPlatform(video),
+        lastInteraction: Date.now(),
+      };
+      this.trackedVideos.set(video, videoState);
+    }
+
+    this.finishByState = {
+      video,
+      deadline,
+      previousRate: videoState.originalRate,
+      rate: null,
+    };
+    this.finishByTimer = setInterval(() => this.updateFinishByRate(), 1000);
+
+    return this.updateFinishByRate();
+  }
+
+  /**
+   * Stop pacing the video towards a deadline
+   * @param {boolean} restoreRate - Put back the rate from before it started
+   */
+  stopFinishBy(restoreRate = true) {
+    if (this.finishByTimer) {
+      clearInterval(this.finishByTimer);
+      this.finishByTimer = null;
+    }
+
+    const state = this.finishByState;
+    this.finishByState = null;
+    if (!state || !restoreRate) {
+      return;
+    }
+
+    const videoState = this.trackedVideos.get(state.video);
+    if (videoState) {
+      videoState.originalRate = state.previousRate;
+      if (!videoState.isSpeedBoosted && !videoState.isSilenceSkipping) {
+        this.setPlaybackRate(state.video, state.previousRate);
+      }
+    }
+  }
+
+  /**
+   * Rate needed to play the rest of the video before the deadline,
+   * clamped to the configured bounds
+   * @returns {number|null} Required rate, or null if not pacing
+   */
+  computeFinishByRate() {
+    const state = this.finishByState;
+    if (!state) {
+      return null;
+    }
+
+    const minRate = this.settings?.finishBy?.minRate ?? 1.0;
+    const maxRate = this.settings?.finishBy?.maxRate ?? 3.0;
+    const remaining = Math.max(
+      state.video.duration - state.video.currentTime,
+      0,
+    );
+    const secondsLeft = (state.deadline - Date.now()) / 1000;
+
+    const needed = secondsLeft > 0 ? remaining / secondsLeft : maxRate;
+    // Round to 0.05x so the rate doesn't creep every second
+    const rounded = Math.ceil(needed * 20) / 20;
+    return Math.min(Math.max(rounded, minRate), maxRate);
+  }
+
+  /**
+   * Recompute the required rate and make it the video's base rate, so
+   * hold-to-boost and speed lock still work on top of it. Runs every
+   * second and after seeks, pauses and resumes.
+   * @returns {number|null} The applied rate
+   */
+  updateFinishByRate() {
+    try {
+      const state = this.finishByState;
+      if (!state) {
+        return null;
+      }
+
+      const { video } = state;
+      if (!video.isConnected || video.ended) {
+        this.stopFinishBy(false);
+        return null;
+      }
+      // Paused time still counts against the budget; the new rate is
+      // picked up again on resume
+      if (video.paused && state.rate !== null) {
+        return state.rate;
+      }
+
+      const rate = this.computeFinishByRate();
+      if (rate === state.rate) {
+        return rate;
+      }
+      state.rate = rate;
+
+      const videoState = this.trackedVideos.get(video);
+      if (videoState) {
+        videoState.originalRate = rate;
+        if (!videoState.isSpeedBoosted && !videoState.isSilenceSkipping) {
+          this.setPlaybackRate(video, rate);
+        }
+      }
+
+      const remaining = Math.max(video.duration - video.currentTime, 0);
+      const finishAt = new Date(Date.now() + (remaining / rate) * 1000);
+      const clock = finishAt.toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+      this.flashSpeedIndicator(rate, {
+        text: `${rate.toFixed(2)}x · done ${clock}`,
+        icon: "finish",
+      });
+
+      return rate;
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error updating finish-by rate:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Start or stop watching for YouTube ads to match the current settings
+   */
+  updateAdWatch() {
+    const hostname = window.location.hostname.toLowerCase();
+    const shouldWatch =
+      this.settings?.adBoost?.enabled && hostname.includes("youtube.com");
+
+    if (shouldWatch && !this.adWatchTimer) {
+      this.adWatchTimer = setInterval(() => this.checkForYouTubeAd(), 500);
+    } else if (!shouldWatch) {
+      this.stopAdWatch();
+    }
+  }
+
+  /**
+   * Stop watching for ads, putting back anything an ad boost changed
+   */
+  stopAdWatch() {
+    if (this.adWatchTimer) {
+      clearInterval(this.adWatchTimer);
+      this.adWatchTimer = null;
+    }
+    if (this.adBoostState) {
+      this.endAdBoost();
+    }
+  }
+
+  /**
+   * Check whether the YouTube player is showing an ad
+   * @returns {boolean} True while an ad is playing
+   */
+  isYouTubeAdShowing() {
+    const player = document.getElementById("movie_player");
+    if (
+      player &&
+      (player.classList.contains("ad-showing") ||
+        player.classList.contains("ad-interrupting"))
+    ) {
+      return true;
+    }
+
+    return !!document.querySelector(
+      ".ytp-ad-player-overlay, .ytp-ad-player-overlay-layout, .ytp-ad-preview-container",
+    );
+  }
+
+  /**
+   * Begin or end the ad boost when the player's ad state changes
+   */
+  checkForYouTubeAd() {
+    try {
+      const adShowing = this.isYouTubeAdShowing();
+
+      if (adShowing && !this.adBoostState) {
+        this.beginAdBoost();
+      } else if (adShowing) {
+        // YouTube resets the rate between ads in a pod
+        const { video } = this.adBoostState;
+        const multiplier = this.getSupportedRate(
+          video,
+          this.settings?.adBoost?.speedMultiplier || 16,
+        );
+        if (video.playbackRate !== multiplier) {
+          this.assignPlaybackRate(video, multiplier);
+        }
+      } else if (this.adBoostState) {
+        this.endAdBoost();
+      }
+    } catch (error) {
+      console.error("Video Speed Hotkey: Error checking for ads:", error);
+    }
+  }
+
+  /**
+   * Speed up and mute the ad, remembering the user's rate, mute state and
+   * speed lock so endAdBoost can put them back
+   * @returns {boolean} True if the ad boost started
+   */
+  beginAdBoost() {
+    const video = this.getActiveVideo();
+    if (!video) {
+      return false;
+    }
+
+    const config = this.settings.adBoost;
+    let videoState = this.trackedVideos.get(video);
+    if (!videoState) {
+      videoState = {
+        originalRate: video.playbackRate,
+        isSpeedBoosted: false,
+        platform: this.detectPlatform(video),
+        lastInteraction: Date.now(),
+      };
+      this.trackedVideos.set(video, videoState);
+    }
+
+    this.stopSpeedRamp();
+    this.resetHotkeyState();
+
+    const userRate =
+      videoState.isSpeedBoosted || videoState.isSilenceSkipping
+        ? videoState.originalRate
+        : this.getTargetRate(video);
+    this.adBoostState = {
+      video,
+      originalRate: userRate,
+      mutedByUs: config.mute && !video.muted,
+      speedLockActive: this.speedLockActive,
+    };
+
+    // The lock is suspended for the ad and re-engaged afterwards
+    this.speedLockActive = false;
+    videoState.originalRate = userRate;
+    videoState.isSpeedBoosted = true;
+    videoState.isSilenceSkipping = false;
+    this.rateTransitions.delete(video);
+    this.assignPlaybackRate(video, config.speedMultiplier);
+    if (this.adBoostState.mutedByUs) {
+      video.muted = true;
+    }
+
+    this.showSpeedIndicator(config.speedMultiplier, { icon: "ad" });
+    return true;
+  }
+
+  /**
+   * Restore the user's rate, mute state and speed lock after an ad
+   */
+  endAdBoost() {
+    const state = this.adBoostState;
+    if (!state) {
+      return;
+    }
+    this.adBoostState = null;
+
+    const { video } = state;
+    const videoState = this.trackedVideos.get(video);
+    if (state.mutedByUs) {
+      video.muted = false;
+    }
+    if (videoState) {
+      videoState.originalRate = state.originalRate;
+      videoState.isSpeedBoosted = false;
+    }
+    video.playbackRate = state.originalRate;
+
+    if (state.speedLockActive) {
+      this.engageSpeedLock(this.lockEngagedAt ?? Date.now());
+    } else {
+      this.hideSpeedIndicator(true);
+    }
+  }
+
+  /**
+   * Drop an ad boost without re-applying its rate, for resetAllSpeeds.
+   * Mute is restored; the rate is reset by the caller, so a lock suspended
+   * for the ad ends rather than coming back without its boost.
+   */
+  abandonAdBoost() {
+    const state = this.adBoostState;
+    if (!state) {
+      return;
+    }
+    this.adBoostState = null;
+
+    if (state.mutedByUs) {
+      state.video.muted = false;
+    }
+    if (state.speedLockActive) {
+      this.clearSpeedLock();
+    }
+  }
+
+  /**
+   * Parse a chapter timestamp such as "4:05" or "1:02:03"
+   * @param {string} text - Timestamp text
+   * @returns {number|null} Seconds, or null if the text isn't a timestamp
+   */
+  parseTimestamp(text) {
+    const match = text.trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/);
+    if (!match) {
+      return null;
+    }
+    const [, hours = 0, minutes, seconds] = match;
+    return (
+      parseInt(hours, 10) * 3600 +
+      parseInt(minutes, 10) * 60 +
+      parseInt(seconds, 10)
+    );
+  }
+
+  /**
+   * Find chapter markers in description text: lines that start with a
+   * timestamp followed by a title, e.g. "12:34 - Q&A"
+   * @param {string} text - Video description
+   * @returns {Object[]} Markers as { start, title }
+   */
+  parseChapterTimestamps(text) {
+    const markers = [];
+    for (const line of text.split("\n")) {
+      const match = line.match(
+        /^\s*((?:\d{1,2}:)?\d{1,2}:\d{2})\s*[-–—:|]?\s*(\S.*?)\s*$/,
+      );
+      if (match) {
+        markers.push({ start: this.parseTimestamp(match[1]), title: match[2] });
+      }
+    }
+    return markers;
+  }
+
+  /**
+   * Chapter list for the YouTube video, from the player's chapter panel
+   * when it has rendered, otherwise from description timestamps. Like
+   * YouTube, a list only counts as chapters if it starts at 0:00.
+   * @param {number} duration - Video duration, the end of the last chapter
+   * @returns {Object[]} Chapters as { start, end, title }, in order
+   */
+  getYouTubeChapters(duration) {
+    let markers = [];
+    document
+      .querySelectorAll("ytd-macro-markers-list-item-renderer")
+      .forEach((item) => {
+        const title = item.querySelector("h4")?.textContent.trim();
+        const start = this.parseTimestamp(
+          item.querySelector("#time")?.textContent || "",
+        );
+        if (title && start !== null) {
+          markers.push({ start, title });
+        }
+      });
+
+    if (markers.length === 0) {
+      const description = document.querySelector(
+        "ytd-watch-metadata #description, #description",
+      );
+      markers = this.parseChapterTimestamps(description?.textContent || "");
+    }
+
+    markers = markers
+      .sort((a, b) => a.start - b.start)
+      .filter((marker, i, list) => i === 0 || marker.start > list[i - 1].start);
+    if (markers.length < 2 || markers[0].start !== 0) {
+      return [];
+    }
+
+    const end = isFinite(duration) ? duration : Infinity;
+    return markers.map((marker, i) => ({
+      start: marker.start,
+      end: markers[i + 1]?.start ?? end,
+      title: marker.title,
+    }));
+  }
+
+  /**
+   * First chapter rule whose title pattern matches
+   * @param {string} title - Chapter title
+   * @returns {Object|null} Matching rule or null
+   */
+  findChapterRule(title) {
+    const rules = this.settings?.chapterRules || [];
+    return (
+      rules.find((rule) => {
+        try {
+          return new RegExp(rule.titlePattern, "i").test(title);
+        } catch (error) {
+          return false;
+        }
+      }) || null
+    );
+  }
+
+  /**
+   * Follow the YouTube player's position through its chapters, applying
+   * the matching chapter rule whenever a boundary is crossed. Called from
+   * timeupdate.
+   * @param {HTMLVideoElement} video - Video that is playing
+   */
+  updateChapter(video) {
+    if (this.chapterState?.video !== video) {
+      // Only the main player has chapters (not hover previews or ads).
+      // Checked once per video, as this runs on every timeupdate.
+      const videoState = this.trackedVideos.get(video);
+      if (!videoState) {
+        return;
+      }
+      if (videoState.isMainPlayer === undefined) {
+        const hostname = window.location.hostname.toLowerCase();
+        videoState.isMainPlayer =
+          hostname.includes("youtube.com") &&
+          this.detectYouTubeVideos().includes(video);
+      }
+      if (!videoState.isMainPlayer) {
+        return;
+      }
+      this.stopChapters();
+      this.chapterState = {
+        video,
+        chapters: [],
+        index: -1,
+        title: null,
+        checkedAt: 0,
+        previousRate: null,
+      };
+    }
+
+    const state = this.chapterState;
+    if (this.adBoostState || this.isYouTubeAdShowing()) {
+      return;
+    }
+
+    // The description renders after playback starts, so keep looking for a
+    // while when nothing was found
+    if (state.chapters.length === 0) {
+      if (Date.now() - state.checkedAt < 5000) {
+        return;
+      }
+      state.checkedAt = Date.now();
+      state.chapters = this.getYouTubeChapters(video.duration);
+    }
+
+    const time = video.currentTime;
+    const index = state.chapters.findIndex(
+      (chapter) => time >= chapter.start && time < chapter.end,
+    );
+    if (index !== state.index) {
+      this.enterChapter(video, index);
+    }
+  }
+
+  /**
+   * Apply the rule for a newly entered chapter: skip past it, play it at its
+   * own rate, or go back to the rate from before the last chapter rate
+   * @param {HTMLVideoElement} video - Main player video
+   * @param {number} index - Chapter index, or -1 outside all chapters
+   */
+  enterChapter(video, index) {
+    const state = this.chapterState;
+    const chapter = state.chapters[index] || null;
+    const rule = chapter ? this.findChapterRule(chapter.title) : null;
+
+    state.index = index;
+    state.title = chapter?.title ?? null;
+
+    if (rule?.action === "skip" && isFinite(chapter.end)) {
+      video.currentTime = chapter.end;
+      this.flashSpeedIndicator(video.playbackRate, {
+        icon: "skip",
+        text: `Skipped ${chapter.title}`,
+      });
+      return;
+    }
+
+    if (rule?.action === "speed" && rule.playbackRate) {
+      if (state.previousRate === null) {
+        const videoState = this.trackedVideos.get(video);
+        state.previousRate = videoState?.isSpeedBoosted
+          ? videoState.originalRate
+          : this.getTargetRate(video);
+      }
+      this.setBaseRate(video, rule.playbackRate);
+    } else if (state.previousRate !== null) {
+      this.setBaseRate(video, state.previousRate);
+      state.previousRate = null;
+    }
+
+    if (chapter && this.settings?.chapters?.showName) {
+      this.flashSpeedIndicator(this.getTargetRate(video));
+    }
+  }
+
+  /**
+   * Set the rate a video plays at when nothing temporary is active (used by
+   * chapter and loop rates). While a boost, lock or silence skip owns the
+   * rate, only the rate it returns to is changed; "finish by" keeps control.
+   * @param {HTMLVideoElement} video - Video to update
+   * @param {number} rate - New base playback rate
+   */
+  setBaseRate(video, rate) {
+    if (this.finishByState?.video === video) {
+      return;
+    }
+
+    const videoState = this.trackedVideos.get(video);
+    if (videoState) {
+      videoState.originalRate = rate;
+    }
+    if (!videoState?.isSpeedBoosted && !videoState?.isSilenceSkipping) {
+      this.setPlaybackRate(video, rate);
+      this.applyPitchPreservation(video, rate);
+    }
+  }
+
+  /**
+   * Stop following chapters, returning to the pre-chapter rate
+   */
+  stopChapters() {
+    const state = this.chapterState;
+    this.chapterState = null;
+    if (state && state.previousRate !== null) {
+      this.setBaseRate(state.video, state.previousRate);
     }
   }
 
@@ -1037,6 +3371,7 @@ class VideoSpeedController {
   resetHotkeyState() {
     this.hotkeyState.isPressed = false;
     this.hotkeyState.currentKey = null;
+    this.hotkeyState.action = null;
     this.hotkeyState.modifiers = {
       ctrl: false,
       alt: false,
@@ -1057,9 +3392,13 @@ class VideoSpeedController {
   /**
    * Show speed indicator overlay with current playback speed
    * @param {number} speed - Current playback speed to display
+   * @param {Object} [options] - Display options
+   * @param {string|null} [options.icon] - Icon name overriding the
+   *   state-derived one, or null for no icon
+   * @param {string} [options.text] - Readout to show instead of the speed
    * @returns {boolean} True if indicator was shown successfully
    */
-  showSpeedIndicator(speed) {
+  showSpeedIndicator(speed, options = {}) {
     try {
       // Validate input parameters
       if (typeof speed !== "number" || isNaN(speed)) {
@@ -1092,13 +3431,23 @@ class VideoSpeedController {
       indicator.id = "video-speed-hotkey-indicator";
       indicator.className = "video-speed-hotkey-indicator";
 
-      // Create content with >> icon and speed
-      const speedText = speed ? `${speed.toFixed(1)}x` : "2.0x";
+      // Create content with >> icon and speed (or a custom readout)
+      const speedText = options.text || this.formatIndicatorText(speed);
 
-      const fastForwardSVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="speed-icon" width="16" height="16" style="width:16px;height:16px;flex-shrink:0;margin-left:6px;display:block;position:relative;top:-1px"><path d="M12 6a2 2 0 0 1 3.414-1.414l6 6a2 2 0 0 1 0 2.828l-6 6A2 2 0 0 1 12 18z"/><path d="M2 6a2 2 0 0 1 3.414-1.414l6 6a2 2 0 0 1 0 2.828l-6 6A2 2 0 0 1 2 18z"/></svg>`;
-      const lockSVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="speed-icon" width="16" height="16" style="width:16px;height:16px;flex-shrink:0;margin-left:6px;display:block;position:relative;top:-2px"><rect width="18" height="11" x="3" y="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/></svg>`;
-      const iconSVG = this.speedLockActive ? lockSVG : fastForwardSVG;
-      indicator.innerHTML = `<div class="speed-text" style="display:flex;align-items:center;gap:0;line-height:1;font-size:16px">${speedText}${iconSVG}</div>`;
+      // icon: null shows the readout on its own
+      const iconSVG =
+        options.icon === null
+          ? ""
+          : this.getIndicatorIconSVG(
+              options.icon || this.getIndicatorIconName(),
+            );
+      // Custom readouts are not overwritten by live updates
+      if (options.text) {
+        indicator.dataset.customText = "true";
+      }
+      indicator.innerHTML = `<div class="speed-text" style="display:flex;align-items:center;gap:0;line-height:1;font-size:16px"><span class="speed-value"></span>${iconSVG}</div>`;
+      // Readouts can carry page text (chapter titles), so never parse them
+      indicator.querySelector(".speed-value").textContent = speedText;
 
       // Apply base styles
       this.applyIndicatorStyles(indicator);
@@ -1196,6 +3545,125 @@ class VideoSpeedController {
     }
   }
 
+  /**
+   * Build the indicator readout: the rate, plus the time left at that rate
+   * and the time saved on this video when those fields are switched on,
+   * e.g. "2.0x · 12:30 left · saved 12:30"
+   * @param {number} speed - Playback rate to show
+   * @returns {string} Indicator text
+   */
+  formatIndicatorText(speed) {
+    const ui = this.settings?.ui;
+    const video = this.lastActiveVideo;
+    const rate = speed ? this.getSupportedRate(video, speed) : 2.0;
+    const parts = [`${rate.toFixed(1)}x`];
+
+    // A relative boost also shows the rate it started from, "1.5x → 3.0x"
+    const videoState = video && this.trackedVideos.get(video);
+    if (
+      this.settings?.boostMode === "relative" &&
+      videoState?.isSpeedBoosted &&
+      !this.adBoostState &&
+      this.hotkeyState.action !== "slow"
+    ) {
+      parts[0] = `${videoState.originalRate.toFixed(1)}x → ${parts[0]}`;
+    }
+
+    // The browser wouldn't go as fast (or slow) as asked
+    if (speed && rate !== speed) {
+      parts.push(`${speed.toFixed(1)}x not supported`);
+    }
+    if (this.isAudioMutedAtRate(video, rate)) {
+      parts.push("no audio");
+    }
+
+    if (video && (ui?.showTimeLeft || ui?.showTimeSaved)) {
+      // At the rate the video plays, which the browser may have capped
+      const playing = video.playbackRate || speed;
+      if (ui.showTimeLeft && isFinite(video.duration) && playing > 0) {
+        const remaining = Math.max(video.duration - video.currentTime, 0);
+        parts.push(`${this.formatDuration(remaining / playing)} left`);
+      }
+      const timeSaved = videoState?.timeSaved;
+      if (ui.showTimeSaved && timeSaved >= 1) {
+        parts.push(`saved ${this.formatDuration(timeSaved)}`);
+      }
+    }
+
+    const loop = this.loopState;
+    if (loop && loop.video === video) {
+      if (loop.a !== null) parts.push(`A ${this.formatDuration(loop.a)}`);
+      if (loop.b !== null) {
+        parts.push(`B ${this.formatDuration(loop.b)}`);
+        parts.push(loop.active ? "loop on" : "loop off");
+      }
+    }
+
+    const chapter = this.chapterState;
+    if (
+      this.settings?.chapters?.showName &&
+      chapter?.title &&
+      chapter.video === video
+    ) {
+      parts.push(chapter.title);
+    }
+
+    return parts.join(" · ");
+  }
+
+  /**
+   * Format seconds as m:ss, or h:mm:ss from an hour up
+   * @param {number} totalSeconds - Duration in seconds
+   * @returns {string} Formatted duration
+   */
+  formatDuration(totalSeconds) {
+    const seconds = Math.floor(totalSeconds);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, "0");
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+      : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Pick the indicator icon that matches the current controller state
+   * @returns {string} Icon name understood by getIndicatorIconSVG
+   */
+  getIndicatorIconName() {
+    if (this.speedLockActive) {
+      return "lock";
+    }
+    if (this.hotkeyState.action === "slow") {
+      return "slow";
+    }
+    return "boost";
+  }
+
+  /**
+   * Build the inline SVG markup for an indicator icon (Lucide icon paths)
+   * @param {string} name - Icon name ("boost", "lock", "slow", "step",
+   *   "finish", "ad", "skip", "loop")
+   * @returns {string} SVG markup
+   */
+  getIndicatorIconSVG(name) {
+    const paths = {
+      boost: `<path d="M12 6a2 2 0 0 1 3.414-1.414l6 6a2 2 0 0 1 0 2.828l-6 6A2 2 0 0 1 12 18z"/><path d="M2 6a2 2 0 0 1 3.414-1.414l6 6a2 2 0 0 1 0 2.828l-6 6A2 2 0 0 1 2 18z"/>`,
+      lock: `<rect width="18" height="11" x="3" y="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/>`,
+      slow: `<path d="M2 13a6 6 0 1 0 12 0 4 4 0 1 0-8 0 2 2 0 0 0 4 0"/><circle cx="10" cy="13" r="8"/><path d="M2 21h12c4.4 0 8-3.6 8-8V7a2 2 0 1 0-4 0v6"/><path d="M18 3 19.1 5.2"/><path d="M22 3 20.9 5.2"/>`,
+      step: `<path d="m12 14 4-4"/><path d="M3.34 19a10 10 0 1 1 17.32 0"/>`,
+      finish: `<path d="M4 22V4a1 1 0 0 1 .4-.8A6 6 0 0 1 8 2c3 0 5 2 7.333 2q2 0 3.067-.8A1 1 0 0 1 20 4v10a1 1 0 0 1-.4.8A6 6 0 0 1 16 16c-3 0-5-2-8-2a6 6 0 0 0-4 1.528"/>`,
+      loop: `<path d="m17 2 4 4-4 4"/><path d="M3 11v-1a4 4 0 0 1 4-4h14"/><path d="m7 22-4-4 4-4"/><path d="M21 13v1a4 4 0 0 1-4 4H3"/>`,
+      skip: `<path d="M21 4v16"/><path d="M6.029 4.285A2 2 0 0 0 3 6v12a2 2 0 0 0 3.029 1.715l9.997-5.998a2 2 0 0 0 .003-3.432z"/>`,
+      ad: `<path d="M11.636 6A13 13 0 0 0 19.4 3.2 1 1 0 0 1 21 4v11.344"/><path d="M14.378 14.357A13 13 0 0 0 11 14H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h1"/><path d="m2 2 20 20"/><path d="M6 14a12 12 0 0 0 2.4 7.2 2 2 0 0 0 3.2-2.4A8 8 0 0 1 10 14"/><path d="M8 8v6"/>`,
+    };
+    // The lock glyph sits slightly lower than the others
+    const top = name === "lock" ? -2 : -1;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="speed-icon" width="16" height="16" style="width:16px;height:16px;flex-shrink:0;margin-left:6px;display:block;position:relative;top:${top}px">${paths[name] || paths.boost}</svg>`;
+  }
+
   /**
    * Hide speed indicator overlay
    * @param {boolean} force - bypass lock/preset guard (e.g. for timed fade after lock)
@@ -2510,9 +4978,14 @@ class VideoSpeedController {
         return this.showSpeedIndicator(speed);
       }
 
-      // Update existing indicator content
-      const speedText = speed ? `${speed.toFixed(1)}x` : "2.0x";
-      indicator.textContent = speedText;
+      // Update existing indicator content, keeping the icon in place
+      const speedText = this.formatIndicatorText(speed);
+      const speedValue = indicator.querySelector(".speed-value");
+      if (speedValue) {
+        speedValue.textContent = speedText;
+      } else {
+        indicator.textContent = speedText;
+      }
 
       // Reset auto-hide timer since indicator was updated
       this.setupAutoHideTimer();
@@ -2533,7 +5006,8 @@ class VideoSpeedController {
   setupAutoHideTimer() {
     try {
       // Never auto-hide when locked, preset active, or always-on mode
-      if (this.speedLockActive) return;
+      // (the ad glyph also stays up for as long as the ad runs)
+      if (this.speedLockActive || this.adBoostState) return;
 
       // Clear any existing timer
       this.clearAutoHideTimer();
@@ -2869,6 +5343,7 @@ class VideoSpeedController {
         ratechange: this.handleVideoRateChange.bind(this, video),
         seeking: this.handleVideoSeeking.bind(this, video),
         seeked: this.handleVideoSeeked.bind(this, video),
+        timeupdate: this.handleVideoTimeUpdate.bind(this, video),
       };
 
       // Add event listeners
@@ -2913,11 +5388,20 @@ class VideoSpeedController {
    */
   handleVideoEnded(video, event) {
     try {
+      // A finished video has no position left to resume
+      this.rememberVideo(video);
+
       // Reset speed if this video had speed boost active
       const videoState = this.trackedVideos.get(video);
+      const releaseLock =
+        this.speedLockActive &&
+        videoState?.isSpeedBoosted &&
+        this.settings?.lockRelease?.onEnded;
       if (videoState && videoState.isSpeedBoosted) {
+        this.rateTransitions.delete(video);
         video.playbackRate = videoState.originalRate;
         videoState.isSpeedBoosted = false;
+        this.recordWatchStats(video);
 
         // Hide speed indicator if this was the active video
         if (this.lastActiveVideo === video) {
@@ -2929,6 +5413,10 @@ class VideoSpeedController {
       if (this.hotkeyState.isPressed && this.lastActiveVideo === video) {
         this.deactivateSpeedBoost();
       }
+
+      if (releaseLock) {
+        this.releaseSpeedLock();
+      }
     } catch (error) {
       this.logError("Error handling video ended event", error, { video });
     }
@@ -2947,6 +5435,24 @@ class VideoSpeedController {
         // Keep speed boost active but hide indicator temporarily
         this.hideSpeedIndicator();
       }
+
+      this.rememberVideo(video);
+
+      // Release the lock on the locked video if it stays paused too long
+      const pausedSeconds = this.settings?.lockRelease?.pausedSeconds;
+      if (
+        this.speedLockActive &&
+        pausedSeconds > 0 &&
+        this.trackedVideos.get(video)?.isSpeedBoosted
+      ) {
+        clearTimeout(this.lockPauseTimer);
+        this.lockPauseTimer = setTimeout(() => {
+          this.lockPauseTimer = null;
+          if (this.speedLockActive && video.paused) {
+            this.releaseSpeedLock();
+          }
+        }, pausedSeconds * 1000);
+      }
     } catch (error) {
       this.logError("Error handling video paused event", error, { video });
     }
@@ -2965,6 +5471,30 @@ class VideoSpeedController {
         videoState.lastInteraction = Date.now();
       }
 
+      // Playing again before lockRelease.pausedSeconds keeps the lock
+      clearTimeout(this.lockPauseTimer);
+      this.lockPauseTimer = null;
+
+      // Time spent paused raised the rate needed to finish in time
+      if (this.finishByState?.video === video) {
+        this.updateFinishByRate();
+      }
+
+      // Follow the playing video with silence skipping
+      if (this.settings?.silenceSkip?.enabled) {
+        this.startSilenceSkipping(video);
+      }
+
+      // Measure the frame rate while frames are being presented
+      if (this.settings?.frameStep?.enabled) {
+        this.learnFrameRate(video);
+      }
+
+      // A lock waiting for the next video picks this one up
+      if (this.pendingLockFollow) {
+        this.resumeSpeedLock();
+      }
+
       // If speed boost is active and this becomes the new active video, show indicator
       if (this.hotkeyState.isPressed) {
         const activeVideo = this.getActiveVideo();
@@ -3003,6 +5533,7 @@ class VideoSpeedController {
       const videoState = this.trackedVideos.get(video);
       if (videoState && videoState.isSpeedBoosted) {
         try {
+          this.rateTransitions.delete(video);
           video.playbackRate = videoState.originalRate;
           videoState.isSpeedBoosted = false;
         } catch (resetError) {
@@ -3028,12 +5559,49 @@ class VideoSpeedController {
    */
   handleVideoLoadStart(video, event) {
     try {
+      // Save the outgoing video under its own key before the new source
+      // takes over (the page URL may already point at the next one)
+      this.rememberVideo(video);
+      if (this.resumeOffer?.video === video) {
+        this.dismissResumeOffer();
+      }
+
       // Reset any existing speed boost for this video
       const videoState = this.trackedVideos.get(video);
       if (videoState && videoState.isSpeedBoosted) {
+        // With "lock follows me", a locked element that gets a new source
+        // (e.g. autoplay) is locked again once it plays
+        if (
+          this.speedLockActive &&
+          this.settings?.speedLock?.followNavigation
+        ) {
+          this.speedLockActive = false;
+          this.pendingLockFollow = true;
+        }
         videoState.isSpeedBoosted = false;
         videoState.originalRate = 1.0; // Reset to default
       }
+
+      // A new source may have a different frame rate
+      if (videoState) {
+        videoState.frameDuration = undefined;
+        videoState.resumeKey = null;
+      }
+
+      // A new source has its own chapters, and loop points don't carry over
+      if (this.chapterState?.video === video) {
+        this.chapterState = null;
+      }
+      if (this.loopState?.video === video) {
+        this.clearLoop();
+      }
+
+      // A new source is a new video as far as time saved goes
+      if (videoState) {
+        this.recordWatchStats(video);
+        videoState.timeSaved = 0;
+        videoState.lastMediaTime = undefined;
+      }
     } catch (error) {
       this.logError("Error handling video load start event", error, { video });
     }
@@ -3060,6 +5628,13 @@ class VideoSpeedController {
         videoState.originalRate = video.playbackRate || 1.0;
         videoState.lastInteraction = Date.now();
       }
+
+      // Duration is known now, so duration-bound rules can be evaluated
+      if (this.settings?.rules?.length) {
+        this.applySiteRules(video);
+      }
+
+      this.restoreVideo(video);
     } catch (error) {
       this.logError("Error handling video loaded data event", error, { video });
     }
@@ -3095,10 +5670,12 @@ class VideoSpeedController {
   handleVideoRateChange(video, event) {
     try {
       const videoState = this.trackedVideos.get(video);
-      if (videoState) {
+      // Intermediate rates of an eased transition are our own
+      if (videoState && !this.rateTransitions.has(video)) {
         // If rate changed but we didn't initiate it, update our tracking
         if (
           !videoState.isSpeedBoosted &&
+          !videoState.isSilenceSkipping &&
           video.playbackRate !== videoState.originalRate
         ) {
           videoState.originalRate = video.playbackRate;
@@ -3120,6 +5697,8 @@ class VideoSpeedController {
       const videoState = this.trackedVideos.get(video);
       if (videoState) {
         videoState.lastInteraction = Date.now();
+        // A jump is not playback; don't count it towards time saved
+        videoState.lastMediaTime = undefined;
       }
     } catch (error) {
       this.logError("Error handling video seeking event", error, { video });
@@ -3138,11 +5717,368 @@ class VideoSpeedController {
       if (videoState) {
         videoState.lastInteraction = Date.now();
       }
+
+      // A seek changes how much is left to finish in time
+      if (this.finishByState?.video === video) {
+        this.updateFinishByRate();
+      }
     } catch (error) {
       this.logError("Error handling video seeked event", error, { video });
     }
   }
 
+  /**
+   * Handle video timeupdate event: add up the time saved by playing faster
+   * than 1x and keep the indicator's time fields current
+   * @param {HTMLVideoElement} video - The video that is playing
+   * @param {Event} event - The timeupdate event
+   */
+  handleVideoTimeUpdate(video, event) {
+    try {
+      const videoState = this.trackedVideos.get(video);
+      if (!videoState) {
+        return;
+      }
+
+      const mediaTime = video.currentTime;
+      const mediaDelta = mediaTime - (videoState.lastMediaTime ?? mediaTime);
+      videoState.lastMediaTime = mediaTime;
+
+      // Seeks reset lastMediaTime; the size check is a backstop for jumps
+      // that don't fire seeking. Ads sped through aren't the video's time.
+      if (
+        mediaDelta > 0 &&
+        mediaDelta < 5 &&
+        video.playbackRate > 0 &&
+        !this.adBoostState
+      ) {
+        const wallDelta = mediaDelta / video.playbackRate;
+        videoState.timeSaved =
+          (videoState.timeSaved || 0) + mediaDelta - wallDelta;
+
+        // Boosted or locked playback counts towards the local statistics
+        if (videoState.isSpeedBoosted && video.playbackRate > 1) {
+          videoState.statsWatched = (videoState.statsWatched || 0) + mediaDelta;
+          videoState.statsSaved =
+            (videoState.statsSaved || 0) + mediaDelta - wallDelta;
+
+          // Long locks are written out as they go, not only on release
+          if (videoState.statsWatched >= 60) {
+            this.recordWatchStats(video);
+          }
+        }
+      }
+
+      // Keep the resume position current and save it every so often; an
+      // ad playing in the video's own element isn't the video's position
+      if (
+        videoState.resumeKey &&
+        !this.isAdShowingFor(videoState.resumeKey)
+      ) {
+        videoState.resumePosition = mediaTime;
+        if (
+          Date.now() - (videoState.resumeSavedAt ?? 0) >=
+          RESUME_SAVE_INTERVAL_MS
+        ) {
+          this.rememberVideo(video);
+        }
+      }
+
+      if (this.settings?.chapters?.enabled) {
+        this.updateChapter(video);
+      }
+      this.updateLoop(video);
+
+      const ui = this.settings?.ui;
+      if (
+        (ui?.showTimeLeft || ui?.showTimeSaved) &&
+        video === this.lastActiveVideo &&
+        (videoState.isSpeedBoosted || this.speedLockActive)
+      ) {
+        const indicator = document.getElementById(
+          "video-speed-hotkey-indicator",
+        );
+        if (indicator && !indicator.dataset.customText) {
+          const speedValue = indicator.querySelector(".speed-value");
+          if (speedValue) {
+            speedValue.textContent = this.formatIndicatorText(
+              video.playbackRate,
+            );
+          }
+        }
+      }
+    } catch (error) {
+      this.logError("Error handling video timeupdate event", error, { video });
+    }
+  }
+
+  /**
+   * Send a video's unrecorded boosted watch time to the background service
+   * worker, which adds it to the local statistics for every tab in turn
+   * @param {HTMLVideoElement} video - Video whose time is recorded
+   */
+  recordWatchStats(video) {
+    try {
+      const videoState = this.trackedVideos.get(video);
+      if (!videoState?.statsWatched) {
+        return;
+      }
+
+      const entry = {
+        site: window.location.hostname,
+        watchedSeconds: videoState.statsWatched,
+        savedSeconds: videoState.statsSaved || 0,
+        url: window.location.href,
+        key: this.getResumeKey(video),
+        title: document.title,
+        duration: isFinite(video.duration) ? video.duration : null,
+      };
+      videoState.statsWatched = 0;
+      videoState.statsSaved = 0;
+
+      chrome.runtime.sendMessage({ type: "RECORD_STATS", entry }, () => {
+        if (chrome.runtime.lastError) {
+          console.warn(
+            "Video Speed Hotkey: Could not record stats:",
+            chrome.runtime.lastError.message,
+          );
+        }
+      });
+    } catch (error) {
+      this.logError("Error recording watch statistics", error, { video });
+    }
+  }
+
+  /**
+   * Whether videos on this page are remembered: settings.resume is on and
+   * no matching site rule opts out
+   * @returns {boolean} True if positions and speeds are remembered
+   */
+  isResumeEnabled() {
+    return (
+      !!this.settings?.resume?.enabled &&
+      !this.activeRule?.noResume &&
+      !this.activeRule?.disabled
+    );
+  }
+
+  /**
+   * Key a video on the current page is remembered under
+   * @param {HTMLVideoElement} video - Video to key
+   * @returns {string|null} Resume key, or null if the page can't be keyed
+   */
+  getResumeKey(video) {
+    const canonical = document.querySelector('link[rel="canonical"]');
+    return (
+      globalThis.PulsePlayResume?.getResumeKey(
+        window.location.href,
+        canonical?.href,
+        video?.currentSrc || video?.src,
+      ) ?? null
+    );
+  }
+
+  /**
+   * Check whether a YouTube ad is playing in place of a remembered video.
+   * Ads play in the main player's own element, under the video's key.
+   * @param {string|null} key - Resume key of the video
+   * @returns {boolean} True while an ad stands in for the video
+   */
+  isAdShowingFor(key) {
+    return !!key?.startsWith("youtube:") && this.isYouTubeAdShowing();
+  }
+
+  /**
+   * Save a video's position, base rate and lock state to the resume memory
+   * @param {HTMLVideoElement} video - Video to remember
+   */
+  rememberVideo(video) {
+    try {
+      const videoState = this.trackedVideos.get(video);
+      // An ad's position and rate aren't the video's, whether or not it is
+      // being sped through
+      if (
+        !videoState?.resumeKey ||
+        this.adBoostState ||
+        this.isAdShowingFor(videoState.resumeKey) ||
+        !this.isResumeEnabled()
+      ) {
+        return;
+      }
+
+      const position = videoState.resumePosition ?? video.currentTime;
+      const duration = isFinite(video.duration) ? video.duration : null;
+      // Nothing to resume near either end, or in a live stream
+      const resumable =
+        duration !== null &&
+        position >= RESUME_MIN_SECONDS &&
+        duration - position >= RESUME_MIN_SECONDS;
+      const entry = {
+        position: resumable ? position : null,
+        rate:
+          videoState.isSpeedBoosted || videoState.isSilenceSkipping
+            ? videoState.originalRate
+            : this.getTargetRate(video),
+        locked: this.speedLockActive && !!videoState.isSpeedBoosted,
+        duration,
+      };
+      videoState.resumeSavedAt = Date.now();
+
+      const resume = globalThis.PulsePlayResume;
+      // Watched at 1x with nothing left to resume: nothing worth keeping
+      if (entry.position === null && entry.rate === 1 && !entry.locked) {
+        resume?.forgetResumeEntry(videoState.resumeKey);
+      } else {
+        resume?.saveResumeEntry(videoState.resumeKey, entry);
+      }
+    } catch (error) {
+      this.logError("Error remembering video", error, { video });
+    }
+  }
+
+  /**
+   * Remember every tracked video, e.g. before the page goes away
+   */
+  rememberAllVideos() {
+    for (const video of this.trackedVideos.keys()) {
+      this.rememberVideo(video);
+    }
+  }
+
+  /**
+   * Pick up a remembered video once its data has loaded: silently restore
+   * its rate (re-engaging the lock if it was locked) and offer to jump back
+   * to where it was left
+   * @param {HTMLVideoElement} video - Video whose data just loaded
+   * @returns {Promise<void>}
+   */
+  async restoreVideo(video) {
+    try {
+      const videoState = this.trackedVideos.get(video);
+      if (!videoState) {
+        return;
+      }
+
+      let key = this.isResumeEnabled() ? this.getResumeKey(video) : null;
+      // An ad loaded in the video's place is keyed once the video loads
+      if (this.isAdShowingFor(key)) {
+        key = null;
+      }
+      videoState.resumeKey = key;
+      videoState.resumePosition = undefined;
+      videoState.resumeSavedAt = Date.now();
+      if (!key) {
+        return;
+      }
+
+      const entry = await globalThis.PulsePlayResume?.getResumeEntry(key);
+      // The source may have changed while storage was read
+      if (!entry || videoState.resumeKey !== key) {
+        return;
+      }
+
+      const resume = this.settings.resume;
+      // A lock or boost already on (e.g. from a site rule) wins
+      if (
+        resume.restoreRate &&
+        entry.rate >= 0.25 &&
+        entry.rate <= 16 &&
+        !videoState.isSpeedBoosted &&
+        !this.speedLockActive &&
+        !this.pendingLockFollow
+      ) {
+        this.setPlaybackRate(video, entry.rate);
+        this.applyPitchPreservation(video, entry.rate);
+        videoState.originalRate = entry.rate;
+        if (entry.locked && this.getActiveVideo() === video) {
+          this.engageSpeedLock();
+        }
+      }
+
+      if (
+        resume.offerPosition &&
+        entry.position > video.currentTime + RESUME_MIN_SECONDS
+      ) {
+        this.offerResume(video, entry.position);
+      }
+    } catch (error) {
+      this.logError("Error restoring remembered video", error, { video });
+    }
+  }
+
+  /**
+   * Show a "Resume at 12:30" button over the video for a few seconds
+   * @param {HTMLVideoElement} video - Video to resume
+   * @param {number} position - Media time to jump to, in seconds
+   */
+  offerResume(video, position) {
+    this.dismissResumeOffer();
+
+    const button = document.createElement("button");
+    button.id = "video-speed-hotkey-resume";
+    button.type = "button";
+    button.textContent = `Resume at ${this.formatDuration(position)}`;
+    this.applyIndicatorStyles(button);
+    // Unlike the indicator, this one is clicked
+    Object.assign(button.style, {
+      pointerEvents: "auto",
+      cursor: "pointer",
+      opacity: "1",
+      transform: "none",
+      fontSize: "14px",
+    });
+    this.positionIndicatorOverVideo(button);
+    button.addEventListener("click", (event) => {
+      event.stopPropagation();
+      video.currentTime = position;
+      this.dismissResumeOffer();
+    });
+
+    const container =
+      document.fullscreenElement ||
+      document.webkitFullscreenElement ||
+      document.body;
+    container.appendChild(button);
+    this.resumeOffer = {
+      video,
+      element: button,
+      timer: setTimeout(() => this.dismissResumeOffer(), RESUME_OFFER_MS),
+    };
+  }
+
+  /**
+   * Remove the "Resume at" button if it is showing
+   */
+  dismissResumeOffer() {
+    if (!this.resumeOffer) {
+      return;
+    }
+    clearTimeout(this.resumeOffer.timer);
+    this.resumeOffer.element.remove();
+    this.resumeOffer = null;
+  }
+
+  /**
+   * Forget the active video and stop remembering it for the rest of this
+   * visit ("Forget this video" in the popup)
+   * @returns {Promise<boolean>} True if the video was remembered
+   */
+  async forgetCurrentVideo() {
+    const video = this.getActiveVideo();
+    const key = video ? this.getResumeKey(video) : null;
+    if (!key) {
+      return false;
+    }
+
+    for (const videoState of this.trackedVideos.values()) {
+      if (videoState.resumeKey === key) {
+        videoState.resumeKey = null;
+      }
+    }
+    this.dismissResumeOffer();
+    return (await globalThis.PulsePlayResume?.forgetResumeEntry(key)) ?? false;
+  }
+
   /**
    * Remove all video event listeners for cleanup
    */
@@ -3265,6 +6201,15 @@ class ContentScriptManager {
       // Initialize hotkey listeners
       this.videoController.initializeHotkeyListeners();
 
+      // Apply any site rule matching this page
+      this.videoController.applySiteRules();
+
+      // Pick up a video that is already playing
+      this.videoController.updateSilenceSkipping();
+
+      // Watch for YouTube ads if ad boost is on
+      this.videoController.updateAdWatch();
+
       // Set up navigation detection for SPAs
       this.setupNavigationDetection();
 
@@ -3407,14 +6352,43 @@ class ContentScriptManager {
     try {
       // Clean up current state
       if (this.videoController) {
-        this.videoController.resetAllSpeeds();
-        this.videoController.hideSpeedIndicator();
+        const controller = this.videoController;
+        // With "lock follows me", the lock moves on to the next video,
+        // unless lockRelease.onDomainChange ends it when the site changes
+        // (a full page load to another site always ends it)
+        const leftSite =
+          new URL(oldUrl, location.href).hostname !==
+          new URL(newUrl, location.href).hostname;
+        const lockFollows =
+          (controller.speedLockActive || controller.pendingLockFollow) &&
+          controller.settings?.speedLock?.followNavigation &&
+          !(leftSite && controller.settings?.lockRelease?.onDomainChange);
+
+        // The budget, audio monitor, chapters and loop belonged to the
+        // previous video
+        controller.stopFinishBy();
+        controller.stopSilenceSkipping();
+        controller.stopChapters();
+        controller.clearLoop();
+        controller.resetAllSpeeds();
+        controller.hideSpeedIndicator();
+        if (lockFollows) {
+          controller.speedLockActive = false;
+          controller.pendingLockFollow = true;
+        } else if (controller.speedLockActive || controller.pendingLockFollow) {
+          controller.releaseSpeedLock();
+        }
       }
 
-      // Re-detect videos after a short delay to allow new content to load
+      // Re-detect videos after a short delay to allow new content to load,
+      // then apply the site rule for the new URL and carry the lock over
+      // (or wait for the next video to play if none is there yet)
       setTimeout(() => {
         if (this.videoController) {
           this.videoController.detectVideos();
+          this.videoController.applySiteRules();
+          this.videoController.updateSilenceSkipping();
+          this.videoController.resumeSpeedLock();
         }
       }, 500);
     } catch (error) {
@@ -3478,24 +6452,36 @@ class ContentScriptManager {
         switch (message.type) {
           case "SETTINGS_UPDATED":
             if (this.videoController) {
+              const previousSettings = this.videoController.settings;
               this.videoController.settings = message.settings;
               // Sync theme from storage whenever settings change
               chrome.storage.local.get("pulsePlayTheme", (result) => {
                 this.videoController.theme = result.pulsePlayTheme || "light";
               });
-              // If lock was just disabled while active, unlock and revert speed
-              const lockJustDisabled = this.videoController.speedLockActive && !message.settings?.speedLock?.enabled;
+              // Rules may have changed; pick up overrides without re-applying
+              // their on-load actions
+              this.videoController.evaluateSiteRules();
+              // If the lock (or toggle) mode was just switched back to
+              // plain hold while locked, unlock and revert speed
+              const lockJustDisabled =
+                this.videoController.speedLockActive &&
+                (previousSettings?.hotkey?.activationMode || "hold") !==
+                  "hold" &&
+                (message.settings?.hotkey?.activationMode || "hold") === "hold";
               if (lockJustDisabled) {
-                this.videoController.speedLockActive = false;
-                this.videoController.restoreOriginalSpeed();
-                this.videoController.hideSpeedIndicator(true);
+                this.videoController.releaseSpeedLock();
               }
               // If speed is locked, apply the updated multiplier directly
               if (!lockJustDisabled && this.videoController.speedLockActive) {
-                const newMultiplier = message.settings.speedMultiplier || 2.0;
                 const video = this.videoController.getActiveVideo();
+                // Relative boosts scale the pre-lock rate again
+                const newMultiplier = this.videoController.getBoostRate(video);
                 if (video) {
-                  video.playbackRate = newMultiplier;
+                  this.videoController.setPlaybackRate(video, newMultiplier);
+                  this.videoController.applyPitchPreservation(
+                    video,
+                    newMultiplier,
+                  );
                   // Do NOT update originalRate — it holds the pre-lock speed
                   // so unlocking correctly reverts to what was playing before
                 }
@@ -3525,9 +6511,41 @@ class ContentScriptManager {
               hasVideos: this.videoController
                 ? this.videoController.trackedVideos.size > 0
                 : false,
+              finishByDeadline:
+                this.videoController?.finishByState?.deadline ?? null,
             });
             break;
 
+          case "SET_FINISH_BY":
+            if (!this.videoController) {
+              sendResponse({ success: false, error: "Not initialized" });
+            } else if (message.deadline) {
+              const rate = this.videoController.startFinishBy(
+                message.deadline,
+              );
+              sendResponse({
+                success: rate !== null,
+                rate,
+                error: rate === null ? "No video to pace" : undefined,
+              });
+            } else {
+              this.videoController.stopFinishBy();
+              sendResponse({ success: true });
+            }
+            break;
+
+          case "FORGET_VIDEO":
+            if (!this.videoController) {
+              sendResponse({ success: false, error: "Not initialized" });
+            } else {
+              this.videoController
+                .forgetCurrentVideo()
+                .then((forgotten) =>
+                  sendResponse({ success: true, forgotten }),
+                );
+            }
+            break;
+
           case "REINITIALIZE":
             this.reinitialize();
             sendResponse({ success: true });
@@ -3563,6 +6581,12 @@ class ContentScriptManager {
     try {
       // Clean up video controller
       if (this.videoController) {
+        this.videoController.stopAdWatch();
+        this.videoController.stopFinishBy();
+        this.videoController.stopSilenceSkipping();
+        this.videoController.stopChapters();
+        this.videoController.clearLoop();
+        this.videoController.dismissResumeOffer();
         this.videoController.resetAllSpeeds();
         this.videoController.hideSpeedIndicator();
         this.videoController.removeHotkeyListeners();
@@ -3607,6 +6631,9 @@ if (typeof module === "undefined") {
 window.addEventListener("beforeunload", () => {
   try {
     if (contentScriptManager && contentScriptManager.videoController) {
+      // Remember where each video was left before its speed is reset
+      contentScriptManager.videoController.rememberAllVideos();
+
       // Reset all video speeds
       contentScriptManager.videoController.resetAllSpeeds();
 
@@ -3631,6 +6658,7 @@ window.addEventListener("beforeunload", () => {
 window.addEventListener("pagehide", () => {
   try {
     if (contentScriptManager && contentScriptManager.videoController) {
+      contentScriptManager.videoController.rememberAllVideos();
       contentScriptManager.videoController.resetAllSpeeds();
       contentScriptManager.videoController.cleanupStaleElements();
       contentScriptManager.videoController.clearAutoHideTimer();
@@ -0,0 +1,148 @@
+// content/gesture-recognizer.js
+/**
+ * Gesture recognizer for the boost hotkey
+ * Turns raw key presses and releases into tap, double tap, triple tap,
+ * long press and hold gestures so one key can do several things.
+ */
+
+// Gestures the recognizer reports, in the order the popup lists them
+const GESTURE_NAMES = ["tap", "doubleTap", "tripleTap", "longPress", "hold"];
+
+// Tap gestures by number of taps in a row
+const TAP_GESTURES = [null, "tap", "doubleTap", "tripleTap"];
+
+class GestureRecognizer {
+  /**
+   * @param {Object} options - Recognizer options
+   * @param {Object} options.thresholds - { tapGapMs, holdMs, longPressMs }
+   * @param {string[]} [options.bound] - Gestures with an action bound. A
+   *   tap fires without waiting for more taps when no longer tap gesture
+   *   is bound.
+   * @param {Function} options.onGesture - Called with the gesture name
+   * @param {Function} [options.onHoldEnd] - Called when a hold is released
+   */
+  constructor({ thresholds, bound = GESTURE_NAMES, onGesture, onHoldEnd }) {
+    this.thresholds = thresholds;
+    this.bound = bound;
+    this.onGesture = onGesture;
+    this.onHoldEnd = onHoldEnd || (() => {});
+
+    this.isPressed = false;
+    this.isHolding = false;
+    this.taps = 0;
+    this.holdTimer = null;
+    this.longPressTimer = null;
+    this.tapTimer = null;
+  }
+
+  /**
+   * Key went down. Repeats while the key is held are ignored.
+   */
+  press() {
+    if (this.isPressed) {
+      return;
+    }
+    this.isPressed = true;
+
+    // Another tap in the sequence is on its way
+    clearTimeout(this.tapTimer);
+    this.tapTimer = null;
+
+    this.holdTimer = setTimeout(() => {
+      this.holdTimer = null;
+      // A hold ends any tap sequence that came before it
+      this.taps = 0;
+      this.isHolding = true;
+      this.onGesture("hold");
+    }, this.thresholds.holdMs);
+
+    this.longPressTimer = setTimeout(() => {
+      this.longPressTimer = null;
+      this.onGesture("longPress");
+    }, this.thresholds.longPressMs);
+  }
+
+  /**
+   * Key went up. A short press counts as a tap; the tap gesture fires once
+   * no further tap follows within tapGapMs, or straight away if no longer
+   * tap gesture is bound.
+   */
+  release() {
+    if (!this.isPressed) {
+      return;
+    }
+    this.isPressed = false;
+    this.clearPressTimers();
+
+    if (this.isHolding) {
+      this.isHolding = false;
+      this.onHoldEnd();
+      return;
+    }
+
+    this.taps = Math.min(this.taps + 1, TAP_GESTURES.length - 1);
+    const longerTapBound = TAP_GESTURES.slice(this.taps + 1).some((gesture) =>
+      this.bound.includes(gesture),
+    );
+    if (!longerTapBound) {
+      this.emitTaps();
+      return;
+    }
+
+    this.tapTimer = setTimeout(() => {
+      this.tapTimer = null;
+      this.emitTaps();
+    }, this.thresholds.tapGapMs);
+  }
+
+  /**
+   * Drop any gesture in progress without reporting it (e.g. on window blur).
+   * A hold that was under way is still ended.
+   */
+  reset() {
+    const wasHolding = this.isHolding;
+    this.clearPressTimers();
+    clearTimeout(this.tapTimer);
+    this.tapTimer = null;
+    this.isPressed = false;
+    this.isHolding = false;
+    this.taps = 0;
+    if (wasHolding) {
+      this.onHoldEnd();
+    }
+  }
+
+  /**
+   * Report the tap gesture for the taps counted so far
+   */
+  emitTaps() {
+    const gesture = TAP_GESTURES[this.taps];
+    this.taps = 0;
+    this.onGesture(gesture);
+  }
+
+  /**
+   * Stop the hold and long-press timers of the current press
+   */
+  clearPressTimers() {
+    clearTimeout(this.holdTimer);
+    clearTimeout(this.longPressTimer);
+    this.holdTimer = null;
+    this.longPressTimer = null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { GESTURE_NAMES, GestureRecognizer };
+} else {
+  // Browser environment
+  const g =
+    typeof self !== "undefined"
+      ? self
+      : typeof window !== "undefined"
+      ? window
+      : globalThis;
+  g.PulsePlayGestures = { GESTURE_NAMES, GestureRecognizer };
+}
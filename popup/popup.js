@@ -59,6 +59,9 @@ const RESERVED_WITH_ALT = ["KeyF", "KeyD", "KeyE", "KeyV", "KeyH", "KeyT"];
 // Speed preview timeout
 let speedPreviewTimeout = null;
 
+// Index of the site rule being edited, or null when adding a new one
+let editingRuleIndex = null;
+
 // Initialize popup when DOM is loaded
 document.addEventListener("DOMContentLoaded", initializePopup);
 
@@ -79,6 +82,7 @@ function initializePopup() {
     themeToggle: document.getElementById("theme-toggle"),
     speedMultiplier: document.getElementById("speed-multiplier"),
     speedValue: document.getElementById("speed-value"),
+    boostMode: document.getElementById("boost-mode"),
     // speedPreview: document.getElementById("speed-preview"),
     // previewSpeed: document.getElementById("preview-speed"),
     // previewIndicator: document.getElementById("preview-indicator"),
@@ -88,8 +92,95 @@ function initializePopup() {
     // platformGeneric: document.getElementById("platform-generic"),
     showIndicator: document.getElementById("show-indicator"),
     indicatorPosition: document.getElementById("indicator-position"),
-    speedLockEnabled: document.getElementById("speed-lock-enabled"),
+    showTimeLeft: document.getElementById("show-time-left"),
+    showTimeSaved: document.getElementById("show-time-saved"),
+    statsToday: document.getElementById("stats-today"),
+    statsWeek: document.getElementById("stats-week"),
+    statsDays: document.getElementById("stats-days"),
+    statsSites: document.getElementById("stats-sites"),
+    statsExportCsv: document.getElementById("stats-export-csv"),
+    statsExportJson: document.getElementById("stats-export-json"),
+    statsClear: document.getElementById("stats-clear"),
+    activationMode: document.getElementById("activation-mode"),
+    gestureTap: document.getElementById("gesture-tap"),
+    gestureDoubleTap: document.getElementById("gesture-double-tap"),
+    gestureTripleTap: document.getElementById("gesture-triple-tap"),
+    gestureLongPress: document.getElementById("gesture-long-press"),
+    gestureHold: document.getElementById("gesture-hold"),
+    gestureTapGap: document.getElementById("gesture-tap-gap"),
     speedLockHideOverlay: document.getElementById("speed-lock-hide-overlay"),
+    speedLockFollow: document.getElementById("speed-lock-follow"),
+    speedLockTurbo: document.getElementById("speed-lock-turbo"),
+    lockReleaseEnded: document.getElementById("lock-release-ended"),
+    lockReleaseHidden: document.getElementById("lock-release-hidden"),
+    lockReleaseDomain: document.getElementById("lock-release-domain"),
+    lockReleasePaused: document.getElementById("lock-release-paused"),
+    lockReleaseAfter: document.getElementById("lock-release-after"),
+    slowDownEnabled: document.getElementById("slow-down-enabled"),
+    slowDownKey: document.getElementById("slow-down-key"),
+    slowDownMultiplier: document.getElementById("slow-down-multiplier"),
+    slowDownValue: document.getElementById("slow-down-value"),
+    finishByTarget: document.getElementById("finish-by-target"),
+    finishByMin: document.getElementById("finish-by-min"),
+    finishByMax: document.getElementById("finish-by-max"),
+    finishByStart: document.getElementById("finish-by-start"),
+    finishByStop: document.getElementById("finish-by-stop"),
+    finishByStatus: document.getElementById("finish-by-status"),
+    resumeEnabled: document.getElementById("resume-enabled"),
+    resumeOffer: document.getElementById("resume-offer"),
+    resumeRate: document.getElementById("resume-rate"),
+    resumeForget: document.getElementById("resume-forget"),
+    resumeStatus: document.getElementById("resume-status"),
+    rampEnabled: document.getElementById("ramp-enabled"),
+    rampMaxMultiplier: document.getElementById("ramp-max-multiplier"),
+    rampMaxValue: document.getElementById("ramp-max-value"),
+    adBoostEnabled: document.getElementById("ad-boost-enabled"),
+    adBoostSpeed: document.getElementById("ad-boost-speed"),
+    adBoostMute: document.getElementById("ad-boost-mute"),
+    chaptersEnabled: document.getElementById("chapters-enabled"),
+    chaptersShowName: document.getElementById("chapters-show-name"),
+    chapterRulesList: document.getElementById("chapter-rules-list"),
+    chapterRuleTitle: document.getElementById("chapter-rule-title"),
+    chapterRuleAction: document.getElementById("chapter-rule-action"),
+    chapterRuleAdd: document.getElementById("chapter-rule-add"),
+    chapterRuleError: document.getElementById("chapter-rule-error"),
+    seekEnabled: document.getElementById("seek-enabled"),
+    seekSeconds: document.getElementById("seek-seconds"),
+    seekScale: document.getElementById("seek-scale"),
+    loopEnabled: document.getElementById("loop-enabled"),
+    loopRate: document.getElementById("loop-rate"),
+    frameStepEnabled: document.getElementById("frame-step-enabled"),
+    frameStepFps: document.getElementById("frame-step-fps"),
+    rewindEnabled: document.getElementById("rewind-enabled"),
+    rewindAmount: document.getElementById("rewind-amount"),
+    transitionEnabled: document.getElementById("transition-enabled"),
+    transitionDuration: document.getElementById("transition-duration"),
+    transitionDurationValue: document.getElementById(
+      "transition-duration-value",
+    ),
+    speedStepEnabled: document.getElementById("speed-step-enabled"),
+    speedStepIncrement: document.getElementById("speed-step-increment"),
+    preservePitch: document.getElementById("preserve-pitch"),
+    chipmunkMode: document.getElementById("chipmunk-mode"),
+    chipmunkThreshold: document.getElementById("chipmunk-threshold"),
+    silenceSkipEnabled: document.getElementById("silence-skip-enabled"),
+    silenceThreshold: document.getElementById("silence-threshold"),
+    silenceThresholdValue: document.getElementById("silence-threshold-value"),
+    silenceSpeed: document.getElementById("silence-speed"),
+    rulesList: document.getElementById("rules-list"),
+    ruleUrl: document.getElementById("rule-url"),
+    ruleTitle: document.getElementById("rule-title"),
+    ruleMinDuration: document.getElementById("rule-min-duration"),
+    ruleMaxDuration: document.getElementById("rule-max-duration"),
+    ruleRate: document.getElementById("rule-rate"),
+    ruleMultiplier: document.getElementById("rule-multiplier"),
+    rulePitch: document.getElementById("rule-pitch"),
+    ruleSpeedLock: document.getElementById("rule-speed-lock"),
+    ruleDisabled: document.getElementById("rule-disabled"),
+    ruleNoResume: document.getElementById("rule-no-resume"),
+    ruleSave: document.getElementById("rule-save"),
+    ruleCancel: document.getElementById("rule-cancel"),
+    ruleError: document.getElementById("rule-error"),
   };
 
   // Render Lucide icons
@@ -102,7 +193,10 @@ function initializePopup() {
   initializeTheme();
 
   // Load current settings
-  loadSettings();
+  loadPopupSettings();
+
+  // Load local time-saved statistics
+  renderStats();
 }
 
 function setupEventListeners() {
@@ -126,6 +220,7 @@ function setupEventListeners() {
   elements.speedMultiplier.addEventListener("input", updateSpeedValue);
   // elements.speedMultiplier.addEventListener("input", showSpeedPreview);
   elements.speedMultiplier.addEventListener("input", autoSaveSettings);
+  elements.boostMode.addEventListener("change", autoSaveSettings);
   // elements.speedMultiplier.addEventListener("mouseenter", showSpeedPreview);
   // elements.speedMultiplier.addEventListener("mouseleave", hideSpeedPreview);
 
@@ -138,9 +233,114 @@ function setupEventListeners() {
   // Visual indicator settings - auto-save
   elements.showIndicator.addEventListener("change", autoSaveSettings);
   elements.indicatorPosition.addEventListener("change", autoSaveSettings);
+  elements.showTimeLeft.addEventListener("change", autoSaveSettings);
+  elements.showTimeSaved.addEventListener("change", autoSaveSettings);
+
+  // Time-saved statistics
+  elements.statsExportCsv.addEventListener("click", () =>
+    exportStatsData("csv"),
+  );
+  elements.statsExportJson.addEventListener("click", () =>
+    exportStatsData("json"),
+  );
+  elements.statsClear.addEventListener("click", clearStatsData);
 
-  elements.speedLockEnabled.addEventListener("change", autoSaveSettings);
+  elements.activationMode.addEventListener("change", autoSaveSettings);
   elements.speedLockHideOverlay.addEventListener("change", autoSaveSettings);
+  elements.speedLockFollow.addEventListener("change", autoSaveSettings);
+
+  // Automatic lock release settings - auto-save
+  elements.lockReleaseEnded.addEventListener("change", autoSaveSettings);
+  elements.lockReleaseHidden.addEventListener("change", autoSaveSettings);
+  elements.lockReleaseDomain.addEventListener("change", autoSaveSettings);
+  elements.lockReleasePaused.addEventListener("change", autoSaveSettings);
+  elements.speedLockTurbo.addEventListener("change", autoSaveSettings);
+  elements.lockReleaseAfter.addEventListener("change", autoSaveSettings);
+
+  // Key gesture settings - auto-save
+  elements.gestureTap.addEventListener("change", autoSaveSettings);
+  elements.gestureDoubleTap.addEventListener("change", autoSaveSettings);
+  elements.gestureTripleTap.addEventListener("change", autoSaveSettings);
+  elements.gestureLongPress.addEventListener("change", autoSaveSettings);
+  elements.gestureHold.addEventListener("change", autoSaveSettings);
+  elements.gestureTapGap.addEventListener("change", autoSaveSettings);
+
+  // Slow-down hotkey settings - auto-save
+  elements.slowDownEnabled.addEventListener("change", autoSaveSettings);
+  elements.slowDownKey.addEventListener("change", autoSaveSettings);
+  elements.slowDownMultiplier.addEventListener("input", updateSlowDownValue);
+  elements.slowDownMultiplier.addEventListener("input", autoSaveSettings);
+
+  // Finish-by controls; the rate bounds auto-save
+  elements.finishByMin.addEventListener("change", autoSaveSettings);
+  elements.finishByMax.addEventListener("change", autoSaveSettings);
+  elements.finishByStart.addEventListener("click", startFinishBy);
+  elements.finishByStop.addEventListener("click", stopFinishBy);
+
+  // Per-video resume settings - auto-save
+  elements.resumeEnabled.addEventListener("change", autoSaveSettings);
+  elements.resumeOffer.addEventListener("change", autoSaveSettings);
+  elements.resumeRate.addEventListener("change", autoSaveSettings);
+  elements.resumeForget.addEventListener("click", forgetCurrentVideo);
+
+  // Speed ramp settings - auto-save
+  elements.rampEnabled.addEventListener("change", autoSaveSettings);
+  elements.rampMaxMultiplier.addEventListener("input", updateRampMaxValue);
+  elements.rampMaxMultiplier.addEventListener("input", autoSaveSettings);
+
+  // YouTube ad boost settings - auto-save
+  elements.adBoostEnabled.addEventListener("change", autoSaveSettings);
+  elements.adBoostSpeed.addEventListener("change", autoSaveSettings);
+  elements.adBoostMute.addEventListener("change", autoSaveSettings);
+
+  // YouTube chapter settings - auto-save
+  elements.chaptersEnabled.addEventListener("change", autoSaveSettings);
+  elements.chaptersShowName.addEventListener("change", autoSaveSettings);
+  elements.chapterRuleAdd.addEventListener("click", addChapterRule);
+
+  // Seek hotkey settings - auto-save
+  elements.seekEnabled.addEventListener("change", autoSaveSettings);
+  elements.seekSeconds.addEventListener("change", autoSaveSettings);
+  elements.seekScale.addEventListener("change", autoSaveSettings);
+
+  // A–B loop settings - auto-save
+  elements.loopEnabled.addEventListener("change", autoSaveSettings);
+  elements.loopRate.addEventListener("change", autoSaveSettings);
+
+  // Frame stepping settings - auto-save
+  elements.frameStepEnabled.addEventListener("change", autoSaveSettings);
+  elements.frameStepFps.addEventListener("change", autoSaveSettings);
+
+  // Rewind-on-release settings - auto-save
+  elements.rewindEnabled.addEventListener("change", autoSaveSettings);
+  elements.rewindAmount.addEventListener("change", autoSaveSettings);
+
+  // Smooth transition settings - auto-save
+  elements.transitionEnabled.addEventListener("change", autoSaveSettings);
+  elements.transitionDuration.addEventListener(
+    "input",
+    updateTransitionDurationValue,
+  );
+  elements.transitionDuration.addEventListener("input", autoSaveSettings);
+
+  // Step hotkey settings - auto-save
+  elements.speedStepEnabled.addEventListener("change", autoSaveSettings);
+  elements.speedStepIncrement.addEventListener("change", autoSaveSettings);
+
+  // Pitch settings - auto-save
+  elements.preservePitch.addEventListener("change", autoSaveSettings);
+  elements.chipmunkMode.addEventListener("change", autoSaveSettings);
+  elements.chipmunkThreshold.addEventListener("change", autoSaveSettings);
+
+  // Silence skipping settings - auto-save
+  elements.silenceSkipEnabled.addEventListener("change", autoSaveSettings);
+  elements.silenceThreshold.addEventListener("input", updateSilenceThresholdValue);
+  elements.silenceThreshold.addEventListener("input", autoSaveSettings);
+  elements.silenceSpeed.addEventListener("change", autoSaveSettings);
+
+  // Site rule editor
+  elements.ruleSave.addEventListener("click", saveRule);
+  elements.ruleCancel.addEventListener("click", resetRuleForm);
 }
 
 // Hotkey input handling - commented out since hotkey is fixed
@@ -313,6 +513,26 @@ function updateSpeedValue() {
   elements.speedValue.textContent = value.toFixed(1) + "x";
 }
 
+function updateSlowDownValue() {
+  const value = parseFloat(elements.slowDownMultiplier.value);
+  elements.slowDownValue.textContent = value.toFixed(2) + "x";
+}
+
+function updateRampMaxValue() {
+  const value = parseFloat(elements.rampMaxMultiplier.value);
+  elements.rampMaxValue.textContent = value.toFixed(1) + "x";
+}
+
+function updateTransitionDurationValue() {
+  const value = parseInt(elements.transitionDuration.value, 10);
+  elements.transitionDurationValue.textContent = value + " ms";
+}
+
+function updateSilenceThresholdValue() {
+  const value = parseInt(elements.silenceThreshold.value, 10);
+  elements.silenceThresholdValue.textContent = value + " dB";
+}
+
 function autoSaveSettings() {
   if (!currentSettings) return;
 
@@ -322,8 +542,10 @@ function autoSaveSettings() {
       key: "Backquote",
       modifiers: [],
       enabled: true,
+      activationMode: elements.activationMode.value,
     },
     speedMultiplier: parseFloat(elements.speedMultiplier.value),
+    boostMode: elements.boostMode.value,
     platforms: {
       youtube: true,
       vimeo: true,
@@ -334,10 +556,125 @@ function autoSaveSettings() {
       showIndicator: elements.showIndicator.checked,
       indicatorPosition: elements.indicatorPosition.value,
       indicatorTimeout: currentSettings.ui.indicatorTimeout, // Keep existing timeout
+      showTimeLeft: elements.showTimeLeft.checked,
+      showTimeSaved: elements.showTimeSaved.checked,
+    },
+    speedLock: {
+      doubleTapMs: 300,
+      hideOverlay: elements.speedLockHideOverlay.checked,
+      followNavigation: elements.speedLockFollow.checked,
+      turboMultiplier: elements.speedLockTurbo.value
+        ? parseFloat(elements.speedLockTurbo.value)
+        : null,
+    },
+    lockRelease: {
+      onEnded: elements.lockReleaseEnded.checked,
+      pausedSeconds: elements.lockReleasePaused.value
+        ? parseFloat(elements.lockReleasePaused.value)
+        : null,
+      afterMinutes: elements.lockReleaseAfter.value
+        ? parseFloat(elements.lockReleaseAfter.value)
+        : null,
+      onTabHidden: elements.lockReleaseHidden.checked,
+      onDomainChange: elements.lockReleaseDomain.checked,
+    },
+    gestures: {
+      ...currentSettings.gestures,
+      tapGapMs: parseInt(elements.gestureTapGap.value, 10),
+      tap: elements.gestureTap.value,
+      doubleTap: elements.gestureDoubleTap.value,
+      tripleTap: elements.gestureTripleTap.value,
+      longPress: elements.gestureLongPress.value,
+      hold: elements.gestureHold.value,
+    },
+    slowDown: {
+      enabled: elements.slowDownEnabled.checked,
+      key: elements.slowDownKey.value,
+      modifiers: currentSettings.slowDown?.modifiers ?? [],
+      speedMultiplier: parseFloat(elements.slowDownMultiplier.value),
+    },
+    finishBy: {
+      minRate: parseFloat(elements.finishByMin.value),
+      maxRate: parseFloat(elements.finishByMax.value),
+    },
+    ramp: {
+      ...currentSettings.ramp,
+      enabled: elements.rampEnabled.checked,
+      maxMultiplier: parseFloat(elements.rampMaxMultiplier.value),
+    },
+    speedStep: {
+      ...currentSettings.speedStep,
+      enabled: elements.speedStepEnabled.checked,
+      increment: parseFloat(elements.speedStepIncrement.value),
+    },
+    adBoost: {
+      enabled: elements.adBoostEnabled.checked,
+      speedMultiplier: parseFloat(elements.adBoostSpeed.value),
+      mute: elements.adBoostMute.checked,
     },
-    speedLock: { enabled: elements.speedLockEnabled.checked, doubleTapMs: 300, hideOverlay: elements.speedLockHideOverlay.checked },
+    chapters: {
+      enabled: elements.chaptersEnabled.checked,
+      showName: elements.chaptersShowName.checked,
+    },
+    chapterRules: currentSettings.chapterRules ?? [],
+    resume: {
+      enabled: elements.resumeEnabled.checked,
+      offerPosition: elements.resumeOffer.checked,
+      restoreRate: elements.resumeRate.checked,
+    },
+    seek: {
+      ...currentSettings.seek,
+      enabled: elements.seekEnabled.checked,
+      seconds: parseFloat(elements.seekSeconds.value),
+      scaleWithSpeed: elements.seekScale.checked,
+    },
+    loop: {
+      ...currentSettings.loop,
+      enabled: elements.loopEnabled.checked,
+      playbackRate: elements.loopRate.value
+        ? parseFloat(elements.loopRate.value)
+        : null,
+    },
+    frameStep: {
+      ...currentSettings.frameStep,
+      enabled: elements.frameStepEnabled.checked,
+      fallbackFps: parseFloat(elements.frameStepFps.value),
+    },
+    rewind: {
+      ...currentSettings.rewind,
+      enabled: elements.rewindEnabled.checked,
+    },
+    transition: {
+      enabled: elements.transitionEnabled.checked,
+      durationMs: parseInt(elements.transitionDuration.value, 10),
+    },
+    pitch: {
+      preservePitch: elements.preservePitch.checked,
+      chipmunkMode: elements.chipmunkMode.checked,
+      chipmunkThreshold: parseFloat(elements.chipmunkThreshold.value),
+    },
+    silenceSkip: {
+      ...currentSettings.silenceSkip,
+      enabled: elements.silenceSkipEnabled.checked,
+      thresholdDb: parseInt(elements.silenceThreshold.value, 10),
+      speedMultiplier: parseFloat(elements.silenceSpeed.value),
+    },
+    rules: currentSettings.rules ?? [],
   };
 
+  // Rewind amount is stored as "mode:value"; keep a custom stored amount
+  // the select has no option for
+  if (elements.rewindAmount.value) {
+    const [rewindMode, rewindValue] = elements.rewindAmount.value.split(":");
+    newSettings.rewind.mode = rewindMode;
+    newSettings.rewind[rewindMode] = parseFloat(rewindValue);
+  }
+
+  // Keep the ramp start below its ceiling
+  if (newSettings.ramp.startMultiplier > newSettings.ramp.maxMultiplier) {
+    newSettings.ramp.startMultiplier = newSettings.ramp.maxMultiplier;
+  }
+
   // Update current settings
   currentSettings = newSettings;
 
@@ -356,7 +693,7 @@ function autoSaveSettings() {
   );
 }
 
-function loadSettings() {
+function loadPopupSettings() {
   chrome.runtime.sendMessage({ type: "GET_SETTINGS" }, (response) => {
     if (response && response.success) {
       currentSettings = response.settings;
@@ -375,6 +712,7 @@ function renderSettings() {
 
   // Speed multiplier
   elements.speedMultiplier.value = currentSettings.speedMultiplier;
+  elements.boostMode.value = currentSettings.boostMode || "absolute";
 
   updateSpeedValue();
 
@@ -387,9 +725,567 @@ function renderSettings() {
   // UI settings
   elements.showIndicator.checked = currentSettings.ui.showIndicator;
   elements.indicatorPosition.value = currentSettings.ui.indicatorPosition;
-
-  elements.speedLockEnabled.checked = currentSettings.speedLock?.enabled ?? false;
+  elements.showTimeLeft.checked = currentSettings.ui.showTimeLeft ?? false;
+  elements.showTimeSaved.checked = currentSettings.ui.showTimeSaved ?? false;
+
+  elements.activationMode.value = currentSettings.hotkey?.activationMode ?? "hold";
+
+  elements.gestureTap.value = currentSettings.gestures?.tap ?? "none";
+  elements.gestureDoubleTap.value =
+    currentSettings.gestures?.doubleTap ?? "lock";
+  elements.gestureTripleTap.value =
+    currentSettings.gestures?.tripleTap ?? "none";
+  elements.gestureLongPress.value =
+    currentSettings.gestures?.longPress ?? "none";
+  elements.gestureHold.value = currentSettings.gestures?.hold ?? "boost";
+  elements.gestureTapGap.value = String(
+    currentSettings.gestures?.tapGapMs ?? 300,
+  );
   elements.speedLockHideOverlay.checked = currentSettings.speedLock?.hideOverlay ?? false;
+  elements.speedLockFollow.checked =
+    currentSettings.speedLock?.followNavigation ?? false;
+  elements.speedLockTurbo.value =
+    currentSettings.speedLock?.turboMultiplier != null
+      ? String(currentSettings.speedLock.turboMultiplier)
+      : "";
+
+  const lockRelease = currentSettings.lockRelease;
+  elements.lockReleaseEnded.checked = lockRelease?.onEnded ?? false;
+  elements.lockReleaseHidden.checked = lockRelease?.onTabHidden ?? false;
+  elements.lockReleaseDomain.checked = lockRelease?.onDomainChange ?? false;
+  elements.lockReleasePaused.value =
+    lockRelease?.pausedSeconds != null ? String(lockRelease.pausedSeconds) : "";
+  elements.lockReleaseAfter.value =
+    lockRelease?.afterMinutes != null ? String(lockRelease.afterMinutes) : "";
+
+  elements.slowDownEnabled.checked = currentSettings.slowDown?.enabled ?? false;
+  elements.slowDownKey.value = currentSettings.slowDown?.key ?? "Digit1";
+  elements.slowDownMultiplier.value =
+    currentSettings.slowDown?.speedMultiplier ?? 0.5;
+  updateSlowDownValue();
+
+  elements.finishByMin.value = String(currentSettings.finishBy?.minRate ?? 1);
+  elements.finishByMax.value = String(currentSettings.finishBy?.maxRate ?? 3);
+  loadFinishByStatus();
+
+  elements.rampEnabled.checked = currentSettings.ramp?.enabled ?? false;
+  elements.rampMaxMultiplier.value = currentSettings.ramp?.maxMultiplier ?? 3.0;
+  updateRampMaxValue();
+
+  elements.adBoostEnabled.checked = currentSettings.adBoost?.enabled ?? false;
+  elements.adBoostSpeed.value = String(
+    currentSettings.adBoost?.speedMultiplier ?? 16,
+  );
+  elements.adBoostMute.checked = currentSettings.adBoost?.mute ?? true;
+
+  elements.chaptersEnabled.checked =
+    currentSettings.chapters?.enabled ?? false;
+  elements.chaptersShowName.checked =
+    currentSettings.chapters?.showName ?? true;
+  renderChapterRules();
+
+  elements.resumeEnabled.checked = currentSettings.resume?.enabled ?? false;
+  elements.resumeOffer.checked = currentSettings.resume?.offerPosition ?? true;
+  elements.resumeRate.checked = currentSettings.resume?.restoreRate ?? true;
+
+  elements.seekEnabled.checked = currentSettings.seek?.enabled ?? false;
+  elements.seekSeconds.value = String(currentSettings.seek?.seconds ?? 5);
+  elements.seekScale.checked = currentSettings.seek?.scaleWithSpeed ?? true;
+
+  elements.loopEnabled.checked = currentSettings.loop?.enabled ?? false;
+  elements.loopRate.value =
+    currentSettings.loop?.playbackRate != null
+      ? String(currentSettings.loop.playbackRate)
+      : "";
+
+  elements.frameStepEnabled.checked =
+    currentSettings.frameStep?.enabled ?? false;
+  elements.frameStepFps.value = String(
+    currentSettings.frameStep?.fallbackFps ?? 30,
+  );
+
+  elements.rewindEnabled.checked = currentSettings.rewind?.enabled ?? false;
+  const rewindMode = currentSettings.rewind?.mode ?? "seconds";
+  elements.rewindAmount.value = `${rewindMode}:${
+    currentSettings.rewind?.[rewindMode] ?? 3
+  }`;
+
+  elements.transitionEnabled.checked =
+    currentSettings.transition?.enabled ?? false;
+  elements.transitionDuration.value =
+    currentSettings.transition?.durationMs ?? 300;
+  updateTransitionDurationValue();
+
+  elements.speedStepEnabled.checked = currentSettings.speedStep?.enabled ?? false;
+  elements.speedStepIncrement.value = String(
+    currentSettings.speedStep?.increment ?? 0.25,
+  );
+
+  elements.preservePitch.checked = currentSettings.pitch?.preservePitch ?? true;
+  elements.chipmunkMode.checked = currentSettings.pitch?.chipmunkMode ?? false;
+  elements.chipmunkThreshold.value = String(
+    currentSettings.pitch?.chipmunkThreshold ?? 2.5,
+  );
+
+  elements.silenceSkipEnabled.checked =
+    currentSettings.silenceSkip?.enabled ?? false;
+  elements.silenceThreshold.value = currentSettings.silenceSkip?.thresholdDb ?? -50;
+  elements.silenceSpeed.value = String(
+    currentSettings.silenceSkip?.speedMultiplier ?? 3,
+  );
+  updateSilenceThresholdValue();
+
+  renderRules();
+}
+
+// "Finish by" mode runs in the active tab's content script
+function sendToActiveTab(message, callback) {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs || !tabs[0]) {
+      callback(null);
+      return;
+    }
+    chrome.tabs.sendMessage(tabs[0].id, message, (response) => {
+      // No content script on this page (e.g. chrome:// URLs)
+      if (chrome.runtime.lastError) {
+        callback(null);
+        return;
+      }
+      callback(response);
+    });
+  });
+}
+
+function parseFinishByTarget(value) {
+  const text = value.trim();
+  const time = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (time) {
+    const target = new Date();
+    target.setHours(parseInt(time[1], 10), parseInt(time[2], 10), 0, 0);
+    // A time earlier than now means tomorrow
+    if (target.getTime() <= Date.now()) {
+      target.setDate(target.getDate() + 1);
+    }
+    return target.getTime();
+  }
+
+  const minutes = parseFloat(text);
+  if (!isNaN(minutes) && minutes > 0) {
+    return Date.now() + minutes * 60 * 1000;
+  }
+  return null;
+}
+
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function startFinishBy() {
+  const deadline = parseFinishByTarget(elements.finishByTarget.value);
+  if (!deadline) {
+    elements.finishByStatus.textContent = "Enter minutes or a time";
+    return;
+  }
+
+  sendToActiveTab({ type: "SET_FINISH_BY", deadline }, (response) => {
+    if (response && response.success) {
+      elements.finishByStatus.textContent = `Pacing to ${formatClock(
+        deadline,
+      )} at ${response.rate.toFixed(2)}x`;
+    } else {
+      elements.finishByStatus.textContent = "No video to pace on this page";
+    }
+  });
+}
+
+function stopFinishBy() {
+  sendToActiveTab({ type: "SET_FINISH_BY", deadline: null }, () => {
+    elements.finishByStatus.textContent = "";
+  });
+}
+
+function loadFinishByStatus() {
+  sendToActiveTab({ type: "GET_STATUS" }, (response) => {
+    if (response && response.finishByDeadline) {
+      elements.finishByStatus.textContent = `Pacing to ${formatClock(
+        response.finishByDeadline,
+      )}`;
+    }
+  });
+}
+
+// "Forget this video" asks the active tab, which knows the video's key
+function forgetCurrentVideo() {
+  sendToActiveTab({ type: "FORGET_VIDEO" }, (response) => {
+    if (!response || !response.success) {
+      elements.resumeStatus.textContent = "No video on this page";
+    } else if (response.forgotten) {
+      elements.resumeStatus.textContent = "Forgotten";
+    } else {
+      elements.resumeStatus.textContent = "Nothing remembered for this video";
+    }
+  });
+}
+
+// Time-saved statistics, read straight from chrome.storage.local
+function formatStatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function describeStatTotals(totals) {
+  return `saved ${formatStatDuration(
+    totals.savedSeconds,
+  )} of ${formatStatDuration(totals.watchedSeconds)} boosted`;
+}
+
+function renderStatsList(list, entries) {
+  list.textContent = "";
+  entries.forEach(({ label, totals }) => {
+    const item = document.createElement("li");
+    item.className = "rule-entry";
+
+    const summary = document.createElement("span");
+    summary.className = "rule-summary";
+    summary.textContent = `${label} · ${describeStatTotals(totals)}`;
+    summary.title = summary.textContent;
+
+    item.appendChild(summary);
+    list.appendChild(item);
+  });
+}
+
+async function renderStats() {
+  const stats = await PulsePlayStats.loadStats();
+  const summary = PulsePlayStats.summarizeStats(stats);
+
+  elements.statsToday.textContent = describeStatTotals(summary.today);
+  elements.statsWeek.textContent = describeStatTotals(summary.week);
+
+  renderStatsList(
+    elements.statsDays,
+    summary.days
+      .filter((day) => day.watchedSeconds > 0)
+      .reverse()
+      .map((day) => ({
+        label: new Date(`${day.day}T00:00`).toLocaleDateString([], {
+          weekday: "short",
+          month: "short",
+          day: "numeric",
+        }),
+        totals: day,
+      })),
+  );
+  renderStatsList(
+    elements.statsSites,
+    summary.sites
+      .slice(0, 5)
+      .map((site) => ({ label: site.site, totals: site })),
+  );
+}
+
+function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportStatsData(format) {
+  const stats = await PulsePlayStats.loadStats();
+  const files = PulsePlayStats.exportStats(stats);
+  const day = PulsePlayStats.getDayKey();
+
+  if (format === "json") {
+    downloadFile(
+      `pulse-play-stats-${day}.json`,
+      files.json,
+      "application/json",
+    );
+  } else {
+    downloadFile(`pulse-play-videos-${day}.csv`, files.videosCsv, "text/csv");
+    downloadFile(`pulse-play-days-${day}.csv`, files.daysCsv, "text/csv");
+  }
+}
+
+function clearStatsData() {
+  // Cleared by the background service worker, after writes it has queued
+  chrome.runtime.sendMessage({ type: "CLEAR_STATS" }, () => renderStats());
+}
+
+// YouTube chapter rules
+function describeChapterRule(rule) {
+  const action =
+    rule.action === "skip" ? "skip" : `play at ${rule.playbackRate}x`;
+  return `/${rule.titlePattern}/ · ${action}`;
+}
+
+function renderChapterRules() {
+  const rules = currentSettings?.chapterRules ?? [];
+  elements.chapterRulesList.textContent = "";
+
+  rules.forEach((rule, index) => {
+    const item = document.createElement("li");
+    item.className = "rule-entry";
+
+    const summary = document.createElement("span");
+    summary.className = "rule-summary";
+    summary.textContent = describeChapterRule(rule);
+    summary.title = summary.textContent;
+
+    const removeButton = document.createElement("button");
+    removeButton.className = "rule-button secondary";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => removeChapterRule(index));
+
+    item.append(summary, removeButton);
+    elements.chapterRulesList.appendChild(item);
+  });
+}
+
+function addChapterRule() {
+  if (!currentSettings) return;
+
+  const titlePattern = elements.chapterRuleTitle.value.trim();
+  if (!titlePattern) {
+    elements.chapterRuleError.textContent = "Enter a chapter title regex";
+    return;
+  }
+  try {
+    new RegExp(titlePattern);
+  } catch (error) {
+    elements.chapterRuleError.textContent = "Chapter is not a valid regex";
+    return;
+  }
+
+  const chapterRules = currentSettings.chapterRules ?? [];
+  const { maxItems } = VideoSpeedHotkeySettings.VALIDATION_RULES.chapterRules;
+  if (chapterRules.length >= maxItems) {
+    elements.chapterRuleError.textContent = `Up to ${maxItems} chapter rules`;
+    return;
+  }
+
+  const action = elements.chapterRuleAction.value;
+  const nextRules = [
+    ...chapterRules,
+    action === "skip"
+      ? { titlePattern, action: "skip", playbackRate: null }
+      : { titlePattern, action: "speed", playbackRate: parseFloat(action) },
+  ];
+  if (!fitsInSyncStorage({ ...currentSettings, chapterRules: nextRules })) {
+    elements.chapterRuleError.textContent =
+      "Too long to sync; shorten or remove rules";
+    return;
+  }
+  currentSettings.chapterRules = nextRules;
+
+  elements.chapterRuleTitle.value = "";
+  elements.chapterRuleError.textContent = "";
+  renderChapterRules();
+  autoSaveSettings();
+}
+
+function removeChapterRule(index) {
+  if (!currentSettings?.chapterRules) return;
+
+  currentSettings.chapterRules = currentSettings.chapterRules.filter(
+    (_, i) => i !== index,
+  );
+  renderChapterRules();
+  autoSaveSettings();
+}
+
+// Settings are saved as one chrome.storage.sync item, which has a size cap
+function fitsInSyncStorage(settings) {
+  const { getSettingsSize, SYNC_ITEM_MAX_BYTES } = VideoSpeedHotkeySettings;
+  return getSettingsSize(settings) <= SYNC_ITEM_MAX_BYTES;
+}
+
+// Site rule management
+function describeRule(rule) {
+  const parts = [rule.urlPattern || "Any site"];
+  if (rule.titlePattern) parts.push(`title /${rule.titlePattern}/`);
+  if (rule.minDuration !== null || rule.maxDuration !== null) {
+    const min = rule.minDuration !== null ? rule.minDuration / 60 : 0;
+    const max = rule.maxDuration !== null ? rule.maxDuration / 60 : "∞";
+    parts.push(`${min}–${max} min`);
+  }
+  if (rule.disabled) {
+    parts.push("off");
+  } else {
+    if (rule.playbackRate !== null) parts.push(`start ${rule.playbackRate}x`);
+    if (rule.speedMultiplier !== null) {
+      parts.push(`boost ${rule.speedMultiplier}x`);
+    }
+    if (rule.speedLock) parts.push("locked");
+    if (rule.noResume) parts.push("not remembered");
+    if (rule.preservesPitch === true) parts.push("natural pitch");
+    if (rule.preservesPitch === false) parts.push("pitch rises");
+  }
+  return parts.join(" · ");
+}
+
+function renderRules() {
+  const rules = currentSettings?.rules ?? [];
+  elements.rulesList.textContent = "";
+
+  rules.forEach((rule, index) => {
+    const item = document.createElement("li");
+    item.className = "rule-entry";
+
+    const summary = document.createElement("span");
+    summary.className = "rule-summary";
+    summary.textContent = describeRule(rule);
+    summary.title = summary.textContent;
+
+    const editButton = document.createElement("button");
+    editButton.className = "rule-button secondary";
+    editButton.textContent = "Edit";
+    editButton.addEventListener("click", () => editRule(index));
+
+    const removeButton = document.createElement("button");
+    removeButton.className = "rule-button secondary";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => removeRule(index));
+
+    item.append(summary, editButton, removeButton);
+    elements.rulesList.appendChild(item);
+  });
+}
+
+function readMinutes(input) {
+  const value = parseFloat(input.value);
+  return isNaN(value) ? null : Math.round(value * 60);
+}
+
+function readRuleForm() {
+  const titlePattern = elements.ruleTitle.value.trim();
+  try {
+    new RegExp(titlePattern);
+  } catch (error) {
+    elements.ruleError.textContent = "Title is not a valid regex";
+    return null;
+  }
+
+  const rule = {
+    urlPattern: elements.ruleUrl.value.trim(),
+    titlePattern,
+    minDuration: readMinutes(elements.ruleMinDuration),
+    maxDuration: readMinutes(elements.ruleMaxDuration),
+    playbackRate: elements.ruleRate.value
+      ? parseFloat(elements.ruleRate.value)
+      : null,
+    speedLock: elements.ruleSpeedLock.checked,
+    speedMultiplier: elements.ruleMultiplier.value
+      ? parseFloat(elements.ruleMultiplier.value)
+      : null,
+    disabled: elements.ruleDisabled.checked,
+    noResume: elements.ruleNoResume.checked,
+    preservesPitch: elements.rulePitch.value
+      ? elements.rulePitch.value === "true"
+      : null,
+  };
+
+  if (
+    rule.minDuration !== null &&
+    rule.maxDuration !== null &&
+    rule.minDuration > rule.maxDuration
+  ) {
+    elements.ruleError.textContent = "Minimum length exceeds maximum";
+    return null;
+  }
+
+  return rule;
+}
+
+function saveRule() {
+  if (!currentSettings) return;
+
+  const rule = readRuleForm();
+  if (!rule) return;
+
+  const rules = [...(currentSettings.rules ?? [])];
+  const { maxItems } = VideoSpeedHotkeySettings.VALIDATION_RULES.rules;
+  if (editingRuleIndex !== null) {
+    rules[editingRuleIndex] = rule;
+  } else if (rules.length >= maxItems) {
+    elements.ruleError.textContent = `Up to ${maxItems} site rules`;
+    return;
+  } else {
+    rules.push(rule);
+  }
+  if (!fitsInSyncStorage({ ...currentSettings, rules })) {
+    elements.ruleError.textContent =
+      "Too long to sync; shorten or remove rules";
+    return;
+  }
+  currentSettings.rules = rules;
+
+  resetRuleForm();
+  renderRules();
+  autoSaveSettings();
+}
+
+function editRule(index) {
+  const rule = currentSettings?.rules?.[index];
+  if (!rule) return;
+
+  editingRuleIndex = index;
+  elements.ruleUrl.value = rule.urlPattern;
+  elements.ruleTitle.value = rule.titlePattern;
+  elements.ruleMinDuration.value =
+    rule.minDuration !== null ? rule.minDuration / 60 : "";
+  elements.ruleMaxDuration.value =
+    rule.maxDuration !== null ? rule.maxDuration / 60 : "";
+  elements.ruleRate.value =
+    rule.playbackRate !== null ? String(rule.playbackRate) : "";
+  elements.ruleMultiplier.value =
+    rule.speedMultiplier !== null ? String(rule.speedMultiplier) : "";
+  elements.rulePitch.value =
+    rule.preservesPitch !== null ? String(rule.preservesPitch) : "";
+  elements.ruleSpeedLock.checked = rule.speedLock;
+  elements.ruleDisabled.checked = rule.disabled;
+  elements.ruleNoResume.checked = rule.noResume ?? false;
+  elements.ruleError.textContent = "";
+  elements.ruleSave.textContent = "Save rule";
+  elements.ruleCancel.hidden = false;
+}
+
+function removeRule(index) {
+  if (!currentSettings?.rules) return;
+
+  currentSettings.rules = currentSettings.rules.filter((_, i) => i !== index);
+  if (editingRuleIndex !== null) {
+    resetRuleForm();
+  }
+  renderRules();
+  autoSaveSettings();
+}
+
+function resetRuleForm() {
+  editingRuleIndex = null;
+  elements.ruleUrl.value = "";
+  elements.ruleTitle.value = "";
+  elements.ruleMinDuration.value = "";
+  elements.ruleMaxDuration.value = "";
+  elements.ruleRate.value = "";
+  elements.ruleMultiplier.value = "";
+  elements.rulePitch.value = "";
+  elements.ruleSpeedLock.checked = false;
+  elements.ruleDisabled.checked = false;
+  elements.ruleNoResume.checked = false;
+  elements.ruleError.textContent = "";
+  elements.ruleSave.textContent = "Add rule";
+  elements.ruleCancel.hidden = true;
 }
 
 // Theme management functions
@@ -0,0 +1,208 @@
+// shared/resume.js
+/**
+ * Per-video resume memory for Video Speed Hotkey extension
+ * Remembers where each video was left off, the speed it was watched at and
+ * whether the speed lock was on, so it can pick up from there next time.
+ * Entries live in chrome.storage.local and never leave the device.
+ */
+
+const RESUME_STORAGE_KEY = "pulsePlayResume";
+
+// Videos remembered before the least recently seen are dropped
+const MAX_RESUME_VIDEOS = 200;
+
+// Query parameters that pick the video on a page ("/watch?v=", "/play?id=");
+// anything else in the query (tracking, timestamps) is left out of the key
+const RESUME_ID_PARAMS = [
+  "v",
+  "id",
+  "vid",
+  "video",
+  "videoid",
+  "video_id",
+  "episode",
+  "ep",
+];
+
+// Writes from one page are chained so read-modify-write cycles don't overlap
+let resumeWriteQueue = Promise.resolve();
+
+/**
+ * Identifying query parameters of a URL, sorted so their order in the URL
+ * doesn't matter
+ * @param {URL} url - URL to read
+ * @returns {string} "?id=42" style query, or "" if there are none
+ */
+function getIdQuery(url) {
+  const params = [...url.searchParams]
+    .filter(([name]) => RESUME_ID_PARAMS.includes(name.toLowerCase()))
+    .map(([name, value]) => `${name}=${value}`)
+    .sort();
+  return params.length > 0 ? `?${params.join("&")}` : "";
+}
+
+/**
+ * Key a video is remembered under. YouTube serves one video under several
+ * URLs, so its video id is the key there; elsewhere it is the page's
+ * canonical URL (falling back to the page URL) with only the query
+ * parameters that identify a video, plus the media file's address so
+ * several videos on one page are kept apart. Blob and data sources change
+ * on every load, so they are left out.
+ * @param {string} href - Page URL
+ * @param {string|null} [canonicalHref] - Page's link[rel=canonical] URL
+ * @param {string|null} [mediaSrc] - The video element's current source
+ * @returns {string|null} Key, or null if the URL can't be keyed
+ */
+function getResumeKey(href, canonicalHref = null, mediaSrc = null) {
+  try {
+    const url = new URL(href);
+    const host = url.hostname.replace(/^(www|m)\./, "");
+
+    if (host === "youtube.com" || host === "youtu.be") {
+      const id =
+        host === "youtu.be"
+          ? url.pathname.slice(1)
+          : url.searchParams.get("v") ||
+            url.pathname.match(/^\/(?:shorts|embed|live)\/([\w-]+)/)?.[1];
+      return id ? `youtube:${id}` : null;
+    }
+
+    const canonical = canonicalHref ? new URL(canonicalHref, url) : url;
+    // A canonical URL that is just this page without its query keeps the
+    // page's identifying parameters
+    const query =
+      getIdQuery(canonical) ||
+      (canonical.pathname === url.pathname ? getIdQuery(url) : "");
+    let key = `${canonical.hostname}${canonical.pathname}${query}`;
+
+    const src = mediaSrc ? new URL(mediaSrc, url) : null;
+    if (src && (src.protocol === "https:" || src.protocol === "http:")) {
+      key += `|${src.hostname}${src.pathname}${getIdQuery(src)}`;
+    }
+    return key;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load every remembered video
+ * @returns {Promise<Object>} Entries in the form { [key]: { position, rate, locked, duration, lastSeen } }
+ */
+async function loadResumeEntries() {
+  try {
+    const result = await chrome.storage.local.get([RESUME_STORAGE_KEY]);
+    const entries = result[RESUME_STORAGE_KEY];
+    return entries && typeof entries === "object" ? entries : {};
+  } catch (error) {
+    console.error("Failed to load resume entries:", error);
+    return {};
+  }
+}
+
+/**
+ * Look up what was remembered for one video
+ * @param {string} key - Key from getResumeKey
+ * @returns {Promise<Object|null>} { position, rate, locked, duration, lastSeen } or null
+ */
+async function getResumeEntry(key) {
+  const entries = await loadResumeEntries();
+  return entries[key] || null;
+}
+
+/**
+ * Remember a video's position, rate and lock state, dropping the least
+ * recently seen videos beyond MAX_RESUME_VIDEOS
+ * @param {string} key - Key from getResumeKey
+ * @param {Object} entry - { position, rate, locked, duration }; position is null when there is nothing to resume
+ * @param {number} now - Time the video was seen, for LRU pruning
+ * @returns {Promise<boolean>} - Promise resolving to success status
+ */
+function saveResumeEntry(key, entry, now = Date.now()) {
+  const write = resumeWriteQueue.then(async () => {
+    if (!key) {
+      return false;
+    }
+
+    try {
+      const entries = await loadResumeEntries();
+      entries[key] = {
+        position: entry.position ?? null,
+        rate: entry.rate,
+        locked: !!entry.locked,
+        duration: entry.duration ?? null,
+        lastSeen: now,
+      };
+
+      const keys = Object.keys(entries).sort(
+        (a, b) => entries[a].lastSeen - entries[b].lastSeen,
+      );
+      keys
+        .slice(0, Math.max(0, keys.length - MAX_RESUME_VIDEOS))
+        .forEach((oldKey) => delete entries[oldKey]);
+
+      await chrome.storage.local.set({ [RESUME_STORAGE_KEY]: entries });
+      return true;
+    } catch (error) {
+      console.error("Failed to save resume entry:", error);
+      return false;
+    }
+  });
+  resumeWriteQueue = write;
+  return write;
+}
+
+/**
+ * Forget one video
+ * @param {string} key - Key from getResumeKey
+ * @returns {Promise<boolean>} - Promise resolving to true if it was remembered
+ */
+function forgetResumeEntry(key) {
+  const write = resumeWriteQueue.then(async () => {
+    try {
+      const entries = await loadResumeEntries();
+      if (!entries[key]) {
+        return false;
+      }
+      delete entries[key];
+      await chrome.storage.local.set({ [RESUME_STORAGE_KEY]: entries });
+      return true;
+    } catch (error) {
+      console.error("Failed to forget resume entry:", error);
+      return false;
+    }
+  });
+  resumeWriteQueue = write;
+  return write;
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = {
+    RESUME_STORAGE_KEY,
+    MAX_RESUME_VIDEOS,
+    getResumeKey,
+    loadResumeEntries,
+    getResumeEntry,
+    saveResumeEntry,
+    forgetResumeEntry,
+  };
+} else {
+  // Browser environment
+  const g =
+    typeof self !== "undefined"
+      ? self
+      : typeof window !== "undefined"
+      ? window
+      : globalThis;
+  g.PulsePlayResume = {
+    RESUME_STORAGE_KEY,
+    MAX_RESUME_VIDEOS,
+    getResumeKey,
+    loadResumeEntries,
+    getResumeEntry,
+    saveResumeEntry,
+    forgetResumeEntry,
+  };
+}
@@ -10,8 +10,10 @@ const DEFAULT_SETTINGS = {
     key: "Backquote",
     modifiers: [],
     enabled: true,
+    activationMode: "hold", // "hold", "toggle", "holdLock" or "gestures"
   },
   speedMultiplier: 2.0,
+  boostMode: "absolute", // "absolute" rate, or "relative" to the current rate
   platforms: {
     youtube: true,
     vimeo: true,
@@ -22,10 +24,149 @@ const DEFAULT_SETTINGS = {
     showIndicator: true,
     indicatorPosition: "top-right",
     indicatorTimeout: 2000,
+    showTimeLeft: false, // "12:30 left" at the current rate
+    showTimeSaved: false, // "saved 12:30" on this video
   },
-  speedLock: { enabled: false, doubleTapMs: 300, hideOverlay: false },
+  speedLock: {
+    doubleTapMs: 300,
+    hideOverlay: false,
+    followNavigation: false, // keep the lock on the next video (autoplay, SPA)
+    turboMultiplier: null, // holding the key while locked multiplies the rate
+  },
+  lockRelease: {
+    // When an active speed lock turns itself off
+    onEnded: false, // the locked video ends
+    pausedSeconds: null, // it stays paused this long; null = never
+    afterMinutes: null, // this long after locking; null = never
+    onTabHidden: false, // the tab is hidden
+    onDomainChange: false, // navigation moves to another site
+  },
+  slowDown: {
+    enabled: false,
+    key: "Digit1",
+    modifiers: [],
+    speedMultiplier: 0.5,
+  },
+  ramp: {
+    enabled: false,
+    startMultiplier: 1.5,
+    stepMultiplier: 0.5,
+    stepIntervalMs: 1000,
+    maxMultiplier: 3.0,
+  },
+  speedStep: {
+    enabled: false,
+    increment: 0.25,
+    increaseKey: "BracketRight",
+    decreaseKey: "BracketLeft",
+    resetKey: "Backslash",
+    modifiers: [],
+  },
+  seek: {
+    enabled: false,
+    forwardKey: "KeyL",
+    backwardKey: "KeyJ",
+    modifiers: [],
+    seconds: 5, // step at 1x
+    scaleWithSpeed: true, // 5s at 1x becomes 10s at 2x
+  },
+  silenceSkip: {
+    enabled: false,
+    thresholdDb: -50, // audio quieter than this counts as silence
+    minSilenceMs: 300, // how long it must stay quiet before speeding up
+    speedMultiplier: 3.0,
+  },
+  finishBy: {
+    minRate: 1.0, // bounds for the rate "finish by" may choose
+    maxRate: 3.0,
+  },
+  adBoost: {
+    enabled: false, // speed through YouTube ads
+    speedMultiplier: 16,
+    mute: true,
+  },
+  rewind: {
+    enabled: false, // seek back when the boost key is released
+    mode: "seconds", // "seconds" or "percent" of the boosted span
+    seconds: 3,
+    percent: 10,
+  },
+  transition: {
+    enabled: false, // ease between rates instead of jumping
+    durationMs: 300,
+  },
+  pitch: {
+    preservePitch: true, // keep voices at their natural pitch when sped up
+    chipmunkMode: false, // let pitch rise above chipmunkThreshold
+    chipmunkThreshold: 2.5,
+  },
+  frameStep: {
+    enabled: false, // step one frame while paused
+    forwardKey: "Period",
+    backwardKey: "Comma",
+    modifiers: [],
+    fallbackFps: 30, // used until the video's own frame rate is known
+  },
+  loop: {
+    enabled: false, // A–B loop hotkeys
+    pointAKey: "KeyA",
+    pointBKey: "KeyB",
+    toggleKey: "KeyR",
+    modifiers: [],
+    playbackRate: null, // rate while looping; null keeps the current rate
+  },
+  gestures: {
+    // Boost key gestures, used with hotkey.activationMode "gestures"
+    tapGapMs: 300, // longest pause between taps of a double/triple tap
+    holdMs: 200, // presses longer than this are holds, not taps
+    longPressMs: 800, // a hold this long also fires the long press
+    tap: "none", // action per gesture, one of GESTURE_ACTIONS
+    doubleTap: "lock",
+    tripleTap: "none",
+    longPress: "none",
+    hold: "boost",
+  },
+  chapters: {
+    enabled: false, // apply chapterRules to YouTube chapters
+    showName: true, // show the current chapter on the indicator
+  },
+  resume: {
+    enabled: false, // remember position, speed and lock per video
+    offerPosition: true, // offer to jump back to where the video was left
+    restoreRate: true, // silently put back the speed (and lock)
+  },
+  // Per-chapter actions, evaluated in order; the first match wins.
+  // See CHAPTER_RULE_TEMPLATE for the fields each rule carries.
+  chapterRules: [],
+  // Per-site rules, evaluated in order; the first match wins.
+  // See RULE_TEMPLATE for the fields each rule carries.
+  rules: [],
 };
 
+// Shape of a single entry in settings.rules. Null fields are ignored.
+const RULE_TEMPLATE = {
+  urlPattern: "", // hostname ("youtube.com") or URL glob ("*/watch*")
+  titlePattern: "", // regular expression tested against document.title
+  minDuration: null, // seconds
+  maxDuration: null, // seconds
+  playbackRate: null, // default playback rate applied on load
+  speedLock: false, // engage speed lock automatically
+  speedMultiplier: null, // overrides the global boost multiplier
+  disabled: false, // turn Pulse Play off entirely
+  preservesPitch: null, // overrides pitch.preservePitch
+  noResume: false, // never remember videos here (see settings.resume)
+};
+
+// Shape of a single entry in settings.chapterRules
+const CHAPTER_RULE_TEMPLATE = {
+  titlePattern: "", // regular expression tested against the chapter title
+  action: "speed", // "speed" (play at playbackRate) or "skip"
+  playbackRate: null, // required for "speed" chapters
+};
+
+// Actions a boost key gesture can be bound to
+const GESTURE_ACTIONS = ["none", "boost", "lock", "stepUp", "reset", "rewind"];
+
 // Settings validation schema
 const VALIDATION_RULES = {
   hotkey: {
@@ -80,12 +221,26 @@ const VALIDATION_RULES = {
         "Digit7",
         "Digit8",
         "Digit9",
+        "BracketLeft",
+        "BracketRight",
+        "Backslash",
+        "Comma",
+        "Period",
+        "Minus",
+        "Equal",
+        "Semicolon",
+        "Quote",
+        "Slash",
       ],
     },
     modifiers: {
       type: "array",
       validModifiers: ["alt", "ctrl", "shift", "meta"],
     },
+    activationMode: {
+      type: "string",
+      validValues: ["hold", "toggle", "holdLock", "gestures"],
+    },
     enabled: {
       type: "boolean",
       required: true,
@@ -94,7 +249,12 @@ const VALIDATION_RULES = {
   speedMultiplier: {
     type: "number",
     min: 0.25,
-    max: 5.0,
+    max: 16, // the highest rate browsers accept
+    required: true,
+  },
+  boostMode: {
+    type: "string",
+    validValues: ["absolute", "relative"],
     required: true,
   },
   platforms: {
@@ -116,9 +276,367 @@ const VALIDATION_RULES = {
       max: 10000,
       required: true,
     },
+    showTimeLeft: { type: "boolean" },
+    showTimeSaved: { type: "boolean" },
+  },
+  slowDown: {
+    enabled: { type: "boolean", required: true },
+    key: { type: "string", required: true },
+    modifiers: { type: "array" },
+    speedMultiplier: {
+      type: "number",
+      min: 0.25,
+      max: 0.95,
+      required: true,
+    },
+  },
+  ramp: {
+    enabled: { type: "boolean", required: true },
+    startMultiplier: { type: "number", min: 1.0, max: 16, required: true },
+    stepMultiplier: { type: "number", min: 0.05, max: 2.0, required: true },
+    stepIntervalMs: { type: "number", min: 100, max: 10000, required: true },
+    maxMultiplier: { type: "number", min: 1.0, max: 16, required: true },
+  },
+  speedStep: {
+    enabled: { type: "boolean", required: true },
+    increment: { type: "number", min: 0.05, max: 1.0, required: true },
+    increaseKey: { type: "string", required: true },
+    decreaseKey: { type: "string", required: true },
+    resetKey: { type: "string", required: true },
+    modifiers: { type: "array" },
+  },
+  seek: {
+    enabled: { type: "boolean", required: true },
+    forwardKey: { type: "string", required: true },
+    backwardKey: { type: "string", required: true },
+    modifiers: { type: "array" },
+    seconds: { type: "number", min: 1, max: 60, required: true },
+    scaleWithSpeed: { type: "boolean", required: true },
+  },
+  silenceSkip: {
+    enabled: { type: "boolean", required: true },
+    thresholdDb: { type: "number", min: -80, max: -20, required: true },
+    minSilenceMs: { type: "number", min: 100, max: 3000, required: true },
+    speedMultiplier: { type: "number", min: 1.25, max: 8.0, required: true },
+  },
+  finishBy: {
+    minRate: { type: "number", min: 0.25, max: 16, required: true },
+    maxRate: { type: "number", min: 0.25, max: 16, required: true },
+  },
+  adBoost: {
+    enabled: { type: "boolean", required: true },
+    speedMultiplier: { type: "number", min: 2, max: 16, required: true },
+    mute: { type: "boolean", required: true },
+  },
+  rewind: {
+    enabled: { type: "boolean", required: true },
+    mode: { type: "string", validValues: ["seconds", "percent"] },
+    seconds: { type: "number", min: 0.5, max: 30, required: true },
+    percent: { type: "number", min: 1, max: 50, required: true },
+  },
+  transition: {
+    enabled: { type: "boolean", required: true },
+    durationMs: { type: "number", min: 50, max: 2000, required: true },
+  },
+  pitch: {
+    preservePitch: { type: "boolean", required: true },
+    chipmunkMode: { type: "boolean", required: true },
+    chipmunkThreshold: { type: "number", min: 1.0, max: 16, required: true },
+  },
+  frameStep: {
+    enabled: { type: "boolean", required: true },
+    forwardKey: { type: "string", required: true },
+    backwardKey: { type: "string", required: true },
+    modifiers: { type: "array" },
+    fallbackFps: { type: "number", min: 1, max: 240, required: true },
+  },
+  loop: {
+    enabled: { type: "boolean", required: true },
+    pointAKey: { type: "string", required: true },
+    pointBKey: { type: "string", required: true },
+    toggleKey: { type: "string", required: true },
+    modifiers: { type: "array" },
+    playbackRate: { type: "number", min: 0.25, max: 16, nullable: true },
+  },
+  lockRelease: {
+    onEnded: { type: "boolean", required: true },
+    pausedSeconds: { type: "number", min: 5, max: 3600, nullable: true },
+    afterMinutes: { type: "number", min: 1, max: 480, nullable: true },
+    onTabHidden: { type: "boolean", required: true },
+    onDomainChange: { type: "boolean", required: true },
+  },
+  gestures: {
+    tapGapMs: { type: "number", min: 100, max: 1000, required: true },
+    holdMs: { type: "number", min: 100, max: 1000, required: true },
+    longPressMs: { type: "number", min: 300, max: 5000, required: true },
+    tap: { type: "string", validValues: GESTURE_ACTIONS },
+    doubleTap: { type: "string", validValues: GESTURE_ACTIONS },
+    tripleTap: { type: "string", validValues: GESTURE_ACTIONS },
+    longPress: { type: "string", validValues: GESTURE_ACTIONS },
+    hold: { type: "string", validValues: GESTURE_ACTIONS },
+  },
+  chapters: {
+    enabled: { type: "boolean", required: true },
+    showName: { type: "boolean", required: true },
+  },
+  resume: {
+    enabled: { type: "boolean", required: true },
+    offerPosition: { type: "boolean", required: true },
+    restoreRate: { type: "boolean", required: true },
+  },
+  // Both rule lists share the one synced settings item (see
+  // SYNC_ITEM_MAX_BYTES) with everything else: about 1.9 KB of settings,
+  // plus roughly 240 bytes per site rule and 80 per chapter rule
+  chapterRules: {
+    type: "array",
+    maxItems: 10,
+    item: {
+      titlePattern: { type: "string", maxLength: 200 },
+      action: { type: "string", maxLength: 10, validValues: ["speed", "skip"] },
+      playbackRate: { type: "number", min: 0.25, max: 16, nullable: true },
+    },
+  },
+  rules: {
+    type: "array",
+    maxItems: 20,
+    item: {
+      urlPattern: { type: "string", maxLength: 200 },
+      titlePattern: { type: "string", maxLength: 200 },
+      minDuration: { type: "number", min: 0, max: 86400, nullable: true },
+      maxDuration: { type: "number", min: 0, max: 86400, nullable: true },
+      playbackRate: { type: "number", min: 0.25, max: 16, nullable: true },
+      speedLock: { type: "boolean" },
+      speedMultiplier: { type: "number", min: 0.25, max: 16, nullable: true },
+      disabled: { type: "boolean" },
+      preservesPitch: { type: "boolean", nullable: true },
+      noResume: { type: "boolean" },
+    },
   },
 };
 
+/**
+ * Validates the key and modifiers of a secondary hotkey binding
+ * @param {Object} binding - Object with optional key and modifiers fields
+ * @param {string} label - Human-readable name used in error messages
+ * @param {string[]} errors - Error list to append to
+ */
+function validateHotkeyBinding(binding, label, errors) {
+  if (
+    binding.key !== undefined &&
+    !VALIDATION_RULES.hotkey.key.validKeys.includes(binding.key)
+  ) {
+    errors.push(`Invalid ${label} hotkey: ${binding.key}`);
+  }
+
+  if (binding.modifiers !== undefined) {
+    if (!Array.isArray(binding.modifiers)) {
+      errors.push(`${label} modifiers must be an array`);
+      return;
+    }
+    const invalidModifiers = binding.modifiers.filter(
+      (mod) => !VALIDATION_RULES.hotkey.modifiers.validModifiers.includes(mod),
+    );
+    if (invalidModifiers.length > 0) {
+      errors.push(`Invalid ${label} modifiers: ${invalidModifiers.join(", ")}`);
+    }
+  }
+}
+
+/**
+ * Lists the key bindings of every enabled hotkey feature
+ * @param {Object} settings - Settings object to read
+ * @returns {Array<{section: string, label: string, binding: Object}>}
+ */
+function getEnabledHotkeyBindings(settings) {
+  const sections = [
+    ["hotkey", [["key", "boost"]]],
+    ["slowDown", [["key", "slow-down"]]],
+    [
+      "speedStep",
+      [
+        ["increaseKey", "step-up"],
+        ["decreaseKey", "step-down"],
+        ["resetKey", "speed reset"],
+      ],
+    ],
+    [
+      "seek",
+      [
+        ["forwardKey", "seek-forward"],
+        ["backwardKey", "seek-backward"],
+      ],
+    ],
+    [
+      "frameStep",
+      [
+        ["forwardKey", "frame-forward"],
+        ["backwardKey", "frame-backward"],
+      ],
+    ],
+    [
+      "loop",
+      [
+        ["pointAKey", "loop-a"],
+        ["pointBKey", "loop-b"],
+        ["toggleKey", "loop-toggle"],
+      ],
+    ],
+  ];
+
+  const bindings = [];
+  sections.forEach(([section, fields]) => {
+    const config = settings[section];
+    // The boost hotkey is on unless turned off; the others are opt-in
+    const enabled =
+      section === "hotkey" ? config?.enabled !== false : config?.enabled;
+    if (!config || !enabled) {
+      return;
+    }
+    fields.forEach(([field, label]) => {
+      if (typeof config[field] === "string" && config[field]) {
+        bindings.push({
+          section,
+          label,
+          binding: { key: config[field], modifiers: config.modifiers },
+        });
+      }
+    });
+  });
+  return bindings;
+}
+
+/**
+ * Checks the boolean, number and enumerated string fields of a settings
+ * section against its entry in VALIDATION_RULES
+ * @param {Object} section - Settings section to check
+ * @param {string} name - Section key in VALIDATION_RULES
+ * @param {string[]} errors - Error list to append to
+ */
+function validateSectionFields(section, name, errors) {
+  Object.entries(VALIDATION_RULES[name]).forEach(([field, rule]) => {
+    const value = section[field];
+    if (value === undefined || (value === null && rule.nullable)) {
+      return;
+    }
+
+    if (rule.type === "boolean" && typeof value !== "boolean") {
+      errors.push(`${name}.${field} must be a boolean`);
+    } else if (
+      rule.type === "number" &&
+      (typeof value !== "number" ||
+        isNaN(value) ||
+        value < rule.min ||
+        value > rule.max)
+    ) {
+      errors.push(
+        `${name}.${field} must be a number between ${rule.min} and ${rule.max}`,
+      );
+    } else if (
+      rule.type === "string" &&
+      rule.validValues &&
+      !rule.validValues.includes(value)
+    ) {
+      errors.push(`Invalid ${name}.${field}: ${value}`);
+    }
+  });
+}
+
+/**
+ * Validates a rule list (site rules or chapter rules)
+ * @param {Object[]} rules - Rules from settings.rules or settings.chapterRules
+ * @param {string[]} errors - Error list to append to
+ * @param {string} name - List key in VALIDATION_RULES
+ */
+function validateRules(rules, errors, name = "rules") {
+  const rulesSchema = VALIDATION_RULES[name];
+
+  if (!Array.isArray(rules)) {
+    errors.push(`${name} must be an array`);
+    return;
+  }
+
+  if (rules.length > rulesSchema.maxItems) {
+    errors.push(
+      `${name} must not contain more than ${rulesSchema.maxItems} entries`,
+    );
+  }
+
+  rules.forEach((rule, index) => {
+    const label = `${name}[${index}]`;
+
+    if (!rule || typeof rule !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    Object.entries(rulesSchema.item).forEach(([field, fieldRule]) => {
+      const value = rule[field];
+      if (value === undefined || (value === null && fieldRule.nullable)) {
+        return;
+      }
+
+      if (fieldRule.type === "boolean" && typeof value !== "boolean") {
+        errors.push(`${label}.${field} must be a boolean`);
+      } else if (
+        fieldRule.type === "string" &&
+        (typeof value !== "string" || value.length > fieldRule.maxLength)
+      ) {
+        errors.push(
+          `${label}.${field} must be a string of at most ${fieldRule.maxLength} characters`,
+        );
+      } else if (
+        fieldRule.type === "string" &&
+        fieldRule.validValues &&
+        !fieldRule.validValues.includes(value)
+      ) {
+        errors.push(`Invalid ${label}.${field}: ${value}`);
+      } else if (
+        fieldRule.type === "number" &&
+        (typeof value !== "number" ||
+          isNaN(value) ||
+          value < fieldRule.min ||
+          value > fieldRule.max)
+      ) {
+        errors.push(
+          `${label}.${field} must be a number between ${fieldRule.min} and ${fieldRule.max}`,
+        );
+      }
+    });
+
+    if (typeof rule.titlePattern === "string" && rule.titlePattern) {
+      try {
+        new RegExp(rule.titlePattern, "i");
+      } catch (error) {
+        errors.push(`${label}.titlePattern is not a valid regular expression`);
+      }
+    }
+
+    if (
+      typeof rule.minDuration === "number" &&
+      typeof rule.maxDuration === "number" &&
+      rule.minDuration > rule.maxDuration
+    ) {
+      errors.push(`${label}.minDuration must not exceed maxDuration`);
+    }
+  });
+}
+
+// All settings are saved as one chrome.storage.sync item, and sync refuses
+// items larger than this (key plus JSON value)
+const SYNC_ITEM_MAX_BYTES = 8192;
+
+/**
+ * Size of settings as chrome.storage.sync counts it against
+ * SYNC_ITEM_MAX_BYTES
+ * @param {Object} settings - Settings object
+ * @returns {number} Size in bytes
+ */
+function getSettingsSize(settings) {
+  return new TextEncoder().encode(
+    "videoSpeedHotkeySettings" + JSON.stringify(settings),
+  ).length;
+}
+
 /**
  * Validates a settings object against the validation rules
  * @param {Object} settings - Settings object to validate
@@ -155,16 +673,36 @@ function validateSettings(settings) {
     if (typeof hotkey.enabled !== "boolean") {
       errors.push("Hotkey enabled must be a boolean");
     }
+
+    if (
+      hotkey.activationMode !== undefined &&
+      !VALIDATION_RULES.hotkey.activationMode.validValues.includes(
+        hotkey.activationMode,
+      )
+    ) {
+      errors.push(`Invalid activation mode: ${hotkey.activationMode}`);
+    }
   }
 
   // Validate speed multiplier
   if (settings.speedMultiplier !== undefined) {
     const speed = settings.speedMultiplier;
-    if (typeof speed !== "number" || speed < 0.25 || speed > 5.0) {
-      errors.push("Speed multiplier must be a number between 0.25 and 5.0");
+    const { min, max } = VALIDATION_RULES.speedMultiplier;
+    if (typeof speed !== "number" || speed < min || speed > max) {
+      errors.push(
+        `Speed multiplier must be a number between ${min} and ${max}`,
+      );
     }
   }
 
+  // Validate boost mode
+  if (
+    settings.boostMode !== undefined &&
+    !VALIDATION_RULES.boostMode.validValues.includes(settings.boostMode)
+  ) {
+    errors.push(`Invalid boost mode: ${settings.boostMode}`);
+  }
+
   // Validate platforms
   if (settings.platforms) {
     const platforms = settings.platforms;
@@ -204,6 +742,12 @@ function validateSettings(settings) {
         errors.push("Indicator timeout must be a number between 500 and 10000");
       }
     }
+
+    ["showTimeLeft", "showTimeSaved"].forEach((field) => {
+      if (ui[field] !== undefined && typeof ui[field] !== "boolean") {
+        errors.push(`UI ${field} must be a boolean`);
+      }
+    });
   }
 
   // Validate speedLock settings
@@ -214,8 +758,267 @@ function validateSettings(settings) {
     if (settings.speedLock.doubleTapMs !== undefined && typeof settings.speedLock.doubleTapMs !== "number") {
       errors.push("speedLock.doubleTapMs must be a number");
     }
+    if (settings.speedLock.followNavigation !== undefined && typeof settings.speedLock.followNavigation !== "boolean") {
+      errors.push("speedLock.followNavigation must be a boolean");
+    }
+    const turbo = settings.speedLock.turboMultiplier;
+    if (turbo !== undefined && turbo !== null && (typeof turbo !== "number" || turbo < 1.25 || turbo > 4)) {
+      errors.push("speedLock.turboMultiplier must be a number between 1.25 and 4");
+    }
+  }
+
+  // Validate automatic lock release
+  if (settings.lockRelease) {
+    validateSectionFields(settings.lockRelease, "lockRelease", errors);
+  }
+
+  // Validate slow-down hotkey settings
+  if (settings.slowDown) {
+    const slowDown = settings.slowDown;
+    const rules = VALIDATION_RULES.slowDown;
+
+    if (
+      slowDown.enabled !== undefined &&
+      typeof slowDown.enabled !== "boolean"
+    ) {
+      errors.push("slowDown.enabled must be a boolean");
+    }
+
+    validateHotkeyBinding(slowDown, "slow-down", errors);
+
+    if (slowDown.speedMultiplier !== undefined) {
+      const speed = slowDown.speedMultiplier;
+      if (
+        typeof speed !== "number" ||
+        speed < rules.speedMultiplier.min ||
+        speed > rules.speedMultiplier.max
+      ) {
+        errors.push(
+          "Slow-down multiplier must be a number between 0.25 and 0.95",
+        );
+      }
+    }
+  }
+
+  // Validate speed ramp settings
+  if (settings.ramp) {
+    const ramp = settings.ramp;
+
+    validateSectionFields(ramp, "ramp", errors);
+
+    if (
+      typeof ramp.startMultiplier === "number" &&
+      typeof ramp.maxMultiplier === "number" &&
+      ramp.startMultiplier > ramp.maxMultiplier
+    ) {
+      errors.push("ramp.startMultiplier must not exceed ramp.maxMultiplier");
+    }
+  }
+
+  // Validate step-up / step-down / reset hotkeys
+  if (settings.speedStep) {
+    const speedStep = settings.speedStep;
+
+    validateSectionFields(speedStep, "speedStep", errors);
+
+    [
+      ["increaseKey", "step-up"],
+      ["decreaseKey", "step-down"],
+      ["resetKey", "speed reset"],
+    ].forEach(([field, label]) => {
+      validateHotkeyBinding(
+        { key: speedStep[field], modifiers: speedStep.modifiers },
+        label,
+        errors,
+      );
+    });
+
+    const keys = [
+      speedStep.increaseKey,
+      speedStep.decreaseKey,
+      speedStep.resetKey,
+    ].filter(Boolean);
+    if (new Set(keys).size !== keys.length) {
+      errors.push("speedStep keys must all be different");
+    }
   }
 
+  // Validate seek hotkeys
+  if (settings.seek) {
+    const seek = settings.seek;
+
+    validateSectionFields(seek, "seek", errors);
+
+    [
+      ["forwardKey", "seek-forward"],
+      ["backwardKey", "seek-backward"],
+    ].forEach(([field, label]) => {
+      validateHotkeyBinding(
+        { key: seek[field], modifiers: seek.modifiers },
+        label,
+        errors,
+      );
+    });
+
+    if (seek.forwardKey && seek.forwardKey === seek.backwardKey) {
+      errors.push("seek keys must be different");
+    }
+  }
+
+  // Validate silence skipping settings
+  if (settings.silenceSkip) {
+    validateSectionFields(settings.silenceSkip, "silenceSkip", errors);
+  }
+
+  // Validate "finish by" rate bounds
+  if (settings.finishBy) {
+    const finishBy = settings.finishBy;
+
+    validateSectionFields(finishBy, "finishBy", errors);
+
+    if (
+      typeof finishBy.minRate === "number" &&
+      typeof finishBy.maxRate === "number" &&
+      finishBy.minRate > finishBy.maxRate
+    ) {
+      errors.push("finishBy.minRate must not exceed finishBy.maxRate");
+    }
+  }
+
+  // Validate YouTube ad boost settings
+  if (settings.adBoost) {
+    validateSectionFields(settings.adBoost, "adBoost", errors);
+  }
+
+  // Validate rewind-on-release settings
+  if (settings.rewind) {
+    validateSectionFields(settings.rewind, "rewind", errors);
+  }
+
+  // Validate eased rate transition settings
+  if (settings.transition) {
+    validateSectionFields(settings.transition, "transition", errors);
+  }
+
+  // Validate pitch preservation settings
+  if (settings.pitch) {
+    validateSectionFields(settings.pitch, "pitch", errors);
+  }
+
+  // Validate frame step hotkeys
+  if (settings.frameStep) {
+    const frameStep = settings.frameStep;
+
+    validateSectionFields(frameStep, "frameStep", errors);
+
+    [
+      ["forwardKey", "frame-forward"],
+      ["backwardKey", "frame-backward"],
+    ].forEach(([field, label]) => {
+      validateHotkeyBinding(
+        { key: frameStep[field], modifiers: frameStep.modifiers },
+        label,
+        errors,
+      );
+    });
+
+    if (
+      frameStep.forwardKey &&
+      frameStep.forwardKey === frameStep.backwardKey
+    ) {
+      errors.push("frameStep keys must be different");
+    }
+  }
+
+  // Validate A–B loop hotkeys
+  if (settings.loop) {
+    const loop = settings.loop;
+
+    validateSectionFields(loop, "loop", errors);
+
+    [
+      ["pointAKey", "loop-a"],
+      ["pointBKey", "loop-b"],
+      ["toggleKey", "loop-toggle"],
+    ].forEach(([field, label]) => {
+      validateHotkeyBinding(
+        { key: loop[field], modifiers: loop.modifiers },
+        label,
+        errors,
+      );
+    });
+
+    const keys = [loop.pointAKey, loop.pointBKey, loop.toggleKey].filter(
+      Boolean,
+    );
+    if (new Set(keys).size !== keys.length) {
+      errors.push("loop keys must all be different");
+    }
+  }
+
+  // Validate that no key is claimed by two enabled features; clashes
+  // within a section are reported above
+  const claimedKeys = new Map();
+  getEnabledHotkeyBindings(settings).forEach(({ section, label, binding }) => {
+    const modifiers = Array.isArray(binding.modifiers) ? binding.modifiers : [];
+    const id = [...modifiers].sort().concat(binding.key).join("+");
+    const claimed = claimedKeys.get(id);
+    if (!claimed) {
+      claimedKeys.set(id, { section, label });
+    } else if (claimed.section !== section) {
+      errors.push(`${id} is bound to both ${claimed.label} and ${label}`);
+    }
+  });
+
+  // Validate boost key gestures
+  if (settings.gestures) {
+    const gestures = settings.gestures;
+
+    validateSectionFields(gestures, "gestures", errors);
+
+    if (
+      typeof gestures.holdMs === "number" &&
+      typeof gestures.longPressMs === "number" &&
+      gestures.longPressMs <= gestures.holdMs
+    ) {
+      errors.push("gestures.longPressMs must be greater than holdMs");
+    }
+  }
+
+  // Validate YouTube chapter settings
+  if (settings.chapters) {
+    validateSectionFields(settings.chapters, "chapters", errors);
+  }
+
+  // Validate per-video resume settings
+  if (settings.resume) {
+    validateSectionFields(settings.resume, "resume", errors);
+  }
+
+  // Validate chapter rules
+  if (settings.chapterRules !== undefined) {
+    validateRules(settings.chapterRules, errors, "chapterRules");
+
+    if (Array.isArray(settings.chapterRules)) {
+      settings.chapterRules.forEach((rule, index) => {
+        if (rule?.action === "speed" && typeof rule.playbackRate !== "number") {
+          errors.push(`chapterRules[${index}].playbackRate is required`);
+        }
+      });
+    }
+  }
+
+  // Validate site rules
+  if (settings.rules !== undefined) {
+    validateRules(settings.rules, errors);
+  }
+
+  // Long patterns can outgrow the sync item within the rule caps
+  if (getSettingsSize(settings) > SYNC_ITEM_MAX_BYTES) {
+    errors.push(
+      `Settings must not exceed ${SYNC_ITEM_MAX_BYTES} bytes; remove some rules`,
+    );
+  }
 
   return { isValid: errors.length === 0, errors };
 }
@@ -241,6 +1044,10 @@ function mergeWithDefaults(userSettings) {
     merged.speedMultiplier = userSettings.speedMultiplier;
   }
 
+  if (VALIDATION_RULES.boostMode.validValues.includes(userSettings.boostMode)) {
+    merged.boostMode = userSettings.boostMode;
+  }
+
   if (userSettings.platforms) {
     Object.assign(merged.platforms, userSettings.platforms);
   }
@@ -253,6 +1060,99 @@ function mergeWithDefaults(userSettings) {
     Object.assign(merged.speedLock, userSettings.speedLock);
   }
 
+  if (
+    userSettings.lockRelease &&
+    typeof userSettings.lockRelease === "object"
+  ) {
+    Object.assign(merged.lockRelease, userSettings.lockRelease);
+  }
+
+  // Double-tap lock used to be switched on with speedLock.enabled
+  if (
+    userSettings.hotkey?.activationMode === undefined &&
+    userSettings.speedLock?.enabled === true
+  ) {
+    merged.hotkey.activationMode = "holdLock";
+  }
+  delete merged.speedLock.enabled;
+
+  if (userSettings.slowDown && typeof userSettings.slowDown === "object") {
+    Object.assign(merged.slowDown, userSettings.slowDown);
+  }
+
+  if (userSettings.ramp && typeof userSettings.ramp === "object") {
+    Object.assign(merged.ramp, userSettings.ramp);
+  }
+
+  if (userSettings.speedStep && typeof userSettings.speedStep === "object") {
+    Object.assign(merged.speedStep, userSettings.speedStep);
+  }
+
+  if (userSettings.seek && typeof userSettings.seek === "object") {
+    Object.assign(merged.seek, userSettings.seek);
+  }
+
+  if (
+    userSettings.silenceSkip &&
+    typeof userSettings.silenceSkip === "object"
+  ) {
+    Object.assign(merged.silenceSkip, userSettings.silenceSkip);
+  }
+
+  if (userSettings.finishBy && typeof userSettings.finishBy === "object") {
+    Object.assign(merged.finishBy, userSettings.finishBy);
+  }
+
+  if (userSettings.adBoost && typeof userSettings.adBoost === "object") {
+    Object.assign(merged.adBoost, userSettings.adBoost);
+  }
+
+  if (userSettings.rewind && typeof userSettings.rewind === "object") {
+    Object.assign(merged.rewind, userSettings.rewind);
+  }
+
+  if (userSettings.transition && typeof userSettings.transition === "object") {
+    Object.assign(merged.transition, userSettings.transition);
+  }
+
+  if (userSettings.pitch && typeof userSettings.pitch === "object") {
+    Object.assign(merged.pitch, userSettings.pitch);
+  }
+
+  if (userSettings.frameStep && typeof userSettings.frameStep === "object") {
+    Object.assign(merged.frameStep, userSettings.frameStep);
+  }
+
+  if (userSettings.loop && typeof userSettings.loop === "object") {
+    Object.assign(merged.loop, userSettings.loop);
+  }
+
+  if (userSettings.gestures && typeof userSettings.gestures === "object") {
+    Object.assign(merged.gestures, userSettings.gestures);
+  }
+
+  if (userSettings.chapters && typeof userSettings.chapters === "object") {
+    Object.assign(merged.chapters, userSettings.chapters);
+  }
+
+  if (userSettings.resume && typeof userSettings.resume === "object") {
+    Object.assign(merged.resume, userSettings.resume);
+  }
+
+  if (Array.isArray(userSettings.chapterRules)) {
+    merged.chapterRules = userSettings.chapterRules.map((rule) => ({
+      ...CHAPTER_RULE_TEMPLATE,
+      ...rule,
+    }));
+  }
+
+  if (Array.isArray(userSettings.rules)) {
+    merged.rules = userSettings.rules.map((rule) => ({
+      ...RULE_TEMPLATE,
+      ...rule,
+    }));
+  }
+
   return merged;
 }
 
@@ -315,16 +1215,35 @@ async function loadSettings() {
           );
           migratedSettings.hotkey.modifiers = validModifiers;
         }
+        if (
+          VALIDATION_RULES.hotkey.activationMode.validValues.includes(
+            storedSettings.hotkey.activationMode,
+          )
+        ) {
+          migratedSettings.hotkey.activationMode =
+            storedSettings.hotkey.activationMode;
+        } else if (storedSettings.speedLock?.enabled === true) {
+          migratedSettings.hotkey.activationMode = "holdLock";
+        }
       }
 
+      const speedRule = VALIDATION_RULES.speedMultiplier;
       if (
         typeof storedSettings.speedMultiplier === "number" &&
-        storedSettings.speedMultiplier >= 0.25 &&
-        storedSettings.speedMultiplier <= 5.0
+        storedSettings.speedMultiplier >= speedRule.min &&
+        storedSettings.speedMultiplier <= speedRule.max
       ) {
         migratedSettings.speedMultiplier = storedSettings.speedMultiplier;
       }
 
+      if (
+        VALIDATION_RULES.boostMode.validValues.includes(
+          storedSettings.boostMode,
+        )
+      ) {
+        migratedSettings.boostMode = storedSettings.boostMode;
+      }
+
       if (storedSettings.ui && typeof storedSettings.ui === "object") {
         if (typeof storedSettings.ui.showIndicator === "boolean") {
           migratedSettings.ui.showIndicator = storedSettings.ui.showIndicator;
@@ -345,6 +1264,56 @@ async function loadSettings() {
           migratedSettings.ui.indicatorTimeout =
             storedSettings.ui.indicatorTimeout;
         }
+        ["showTimeLeft", "showTimeSaved"].forEach((field) => {
+          if (typeof storedSettings.ui[field] === "boolean") {
+            migratedSettings.ui[field] = storedSettings.ui[field];
+          }
+        });
+      }
+
+      // Keep newer sections that are valid on their own
+      [
+        "slowDown",
+        "ramp",
+        "speedStep",
+        "seek",
+        "silenceSkip",
+        "finishBy",
+        "adBoost",
+        "rewind",
+        "transition",
+        "pitch",
+        "frameStep",
+        "loop",
+        "gestures",
+        "chapters",
+        "lockRelease",
+        "resume",
+      ].forEach((section) => {
+        const stored = storedSettings[section];
+        if (
+          stored &&
+          typeof stored === "object" &&
+          validateSettings({ [section]: stored }).isValid
+        ) {
+          Object.assign(migratedSettings[section], stored);
+        }
+      });
+
+      // Keep each chapter rule that is valid by itself
+      if (Array.isArray(storedSettings.chapterRules)) {
+        migratedSettings.chapterRules = storedSettings.chapterRules
+          .filter(
+            (rule) => validateSettings({ chapterRules: [rule] }).isValid,
+          )
+          .slice(0, VALIDATION_RULES.chapterRules.maxItems);
+      }
+
+      // Keep each site rule that is valid by itself
+      if (Array.isArray(storedSettings.rules)) {
+        migratedSettings.rules = storedSettings.rules
+          .filter((rule) => validateSettings({ rules: [rule] }).isValid)
+          .slice(0, VALIDATION_RULES.rules.maxItems);
       }
 
       await saveSettings(migratedSettings);
@@ -443,6 +1412,11 @@ if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     DEFAULT_SETTINGS,
     VALIDATION_RULES,
+    RULE_TEMPLATE,
+    CHAPTER_RULE_TEMPLATE,
+    GESTURE_ACTIONS,
+    SYNC_ITEM_MAX_BYTES,
+    getSettingsSize,
     validateSettings,
     mergeWithDefaults,
     loadSettings,
@@ -461,6 +1435,11 @@ if (typeof module !== "undefined" && module.exports) {
   g.VideoSpeedHotkeySettings = {
     DEFAULT_SETTINGS,
     VALIDATION_RULES,
+    RULE_TEMPLATE,
+    CHAPTER_RULE_TEMPLATE,
+    GESTURE_ACTIONS,
+    SYNC_ITEM_MAX_BYTES,
+    getSettingsSize,
     validateSettings,
     mergeWithDefaults,
     loadSettings,
@@ -0,0 +1,328 @@
+// shared/stats.js
+/**
+ * Local watch statistics for Video Speed Hotkey extension
+ * Aggregates time watched under boost/lock and the time it saved, per day
+ * and per site. Everything lives in chrome.storage.local and never leaves
+ * the device.
+ */
+
+const STATS_STORAGE_KEY = "pulsePlayStats";
+
+// Days of history kept before the oldest are dropped
+const MAX_STATS_DAYS = 366;
+
+// Per-video records kept before the least recently watched are dropped
+const MAX_STATS_VIDEOS = 500;
+
+// Writes are chained so read-modify-write cycles don't overlap. Tabs send
+// their watch time to the background service worker (RECORD_STATS), so
+// there this one queue covers every tab.
+let statsWriteQueue = Promise.resolve();
+
+/**
+ * Local calendar day key for a date
+ * @param {Date} date - Date to convert
+ * @returns {string} Day in YYYY-MM-DD form
+ */
+function getDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Load the stored statistics
+ * @returns {Promise<Object>} Statistics in the form { days: { [day]: { [site]: { watchedSeconds, savedSeconds } } }, videos: { [key]: { url, title, site, duration, watchedSeconds, savedSeconds, lastWatched } } }
+ */
+async function loadStats() {
+  try {
+    const result = await chrome.storage.local.get([STATS_STORAGE_KEY]);
+    const stats = result[STATS_STORAGE_KEY];
+    if (!stats || typeof stats !== "object" || !stats.days) {
+      return { days: {}, videos: {} };
+    }
+    // Stats recorded before per-video records existed
+    stats.videos = stats.videos || {};
+    return stats;
+  } catch (error) {
+    console.error("Failed to load stats:", error);
+    return { days: {}, videos: {} };
+  }
+}
+
+/**
+ * Add watched and saved time for a site to today's totals, and to the
+ * video's own record when the entry names one. Records are kept under the
+ * video's resume key when there is one, so the same video reached through
+ * differently decorated URLs (?t=, ?si=, utm_*) adds up in one record.
+ * @param {Object} entry - { site, watchedSeconds, savedSeconds, url?, key?, title?, duration? }
+ * @param {Date} date - Day to record against
+ * @returns {Promise<boolean>} - Promise resolving to success status
+ */
+function recordWatchTime(entry, date = new Date()) {
+  const write = statsWriteQueue.then(async () => {
+    const { site, watchedSeconds, savedSeconds, url } = entry;
+    if (!site || !(watchedSeconds > 0)) {
+      return false;
+    }
+
+    try {
+      const stats = await loadStats();
+      const dayKey = getDayKey(date);
+      const day = (stats.days[dayKey] = stats.days[dayKey] || {});
+      const totals = (day[site] = day[site] || {
+        watchedSeconds: 0,
+        savedSeconds: 0,
+      });
+      totals.watchedSeconds += watchedSeconds;
+      totals.savedSeconds += savedSeconds;
+
+      if (url) {
+        const videoKey = entry.key || url;
+        const video = (stats.videos[videoKey] = stats.videos[videoKey] || {
+          url,
+          title: "",
+          site,
+          duration: null,
+          watchedSeconds: 0,
+          savedSeconds: 0,
+        });
+        video.url = url;
+        video.title = entry.title || video.title;
+        video.duration = entry.duration ?? video.duration;
+        video.watchedSeconds += watchedSeconds;
+        video.savedSeconds += savedSeconds;
+        video.lastWatched = date.getTime();
+      }
+
+      // Drop the oldest days beyond the retention window
+      const dayKeys = Object.keys(stats.days).sort();
+      dayKeys
+        .slice(0, Math.max(0, dayKeys.length - MAX_STATS_DAYS))
+        .forEach((key) => delete stats.days[key]);
+
+      // And the least recently watched videos beyond the record limit
+      const videoUrls = Object.keys(stats.videos).sort(
+        (a, b) => stats.videos[a].lastWatched - stats.videos[b].lastWatched,
+      );
+      videoUrls
+        .slice(0, Math.max(0, videoUrls.length - MAX_STATS_VIDEOS))
+        .forEach((key) => delete stats.videos[key]);
+
+      await chrome.storage.local.set({ [STATS_STORAGE_KEY]: stats });
+      return true;
+    } catch (error) {
+      console.error("Failed to record stats:", error);
+      return false;
+    }
+  });
+  statsWriteQueue = write;
+  return write;
+}
+
+/**
+ * Delete all stored statistics, after any writes already queued
+ * @returns {Promise<boolean>} - Promise resolving to success status
+ */
+function clearStats() {
+  const write = statsWriteQueue.then(async () => {
+    try {
+      await chrome.storage.local.remove(STATS_STORAGE_KEY);
+      return true;
+    } catch (error) {
+      console.error("Failed to clear stats:", error);
+      return false;
+    }
+  });
+  statsWriteQueue = write;
+  return write;
+}
+
+/**
+ * Summarise statistics into today, the last seven days and per-site totals
+ * @param {Object} stats - Statistics as returned by loadStats
+ * @param {Date} today - Day the summary is relative to
+ * @returns {Object} { today, week, days, sites } where totals are { watchedSeconds, savedSeconds }
+ */
+function summarizeStats(stats, today = new Date()) {
+  const days = stats?.days || {};
+  const sumSites = (sites) =>
+    Object.values(sites || {}).reduce(
+      (total, site) => ({
+        watchedSeconds: total.watchedSeconds + (site.watchedSeconds || 0),
+        savedSeconds: total.savedSeconds + (site.savedSeconds || 0),
+      }),
+      { watchedSeconds: 0, savedSeconds: 0 },
+    );
+
+  // Last seven days, oldest first, including days with nothing recorded
+  const week = [];
+  for (let offset = 6; offset >= 0; offset--) {
+    const date = new Date(today);
+    date.setDate(today.getDate() - offset);
+    const dayKey = getDayKey(date);
+    week.push({ day: dayKey, ...sumSites(days[dayKey]) });
+  }
+
+  const siteTotals = {};
+  for (const sites of Object.values(days)) {
+    for (const [site, totals] of Object.entries(sites)) {
+      const entry = (siteTotals[site] = siteTotals[site] || {
+        site,
+        watchedSeconds: 0,
+        savedSeconds: 0,
+      });
+      entry.watchedSeconds += totals.watchedSeconds || 0;
+      entry.savedSeconds += totals.savedSeconds || 0;
+    }
+  }
+
+  return {
+    today: week[week.length - 1],
+    week: sumSites(week),
+    days: week,
+    sites: Object.values(siteTotals).sort(
+      (a, b) => b.savedSeconds - a.savedSeconds,
+    ),
+  };
+}
+
+/**
+ * Flatten statistics into per-video and per-day rows for export
+ * @param {Object} stats - Statistics as returned by loadStats
+ * @returns {Object} { videos, days } arrays of plain rows
+ */
+function buildStatsExport(stats) {
+  const round = (value, places = 0) =>
+    Math.round(value * 10 ** places) / 10 ** places;
+
+  const videos = Object.values(stats?.videos || {})
+    .sort((a, b) => b.lastWatched - a.lastWatched)
+    .map((video) => {
+      // Media seconds played per wall-clock second while boosted or locked
+      const wallSeconds = video.watchedSeconds - video.savedSeconds;
+      return {
+        url: video.url,
+        title: video.title,
+        site: video.site,
+        durationSeconds:
+          typeof video.duration === "number" ? round(video.duration) : null,
+        watchedSeconds: round(video.watchedSeconds),
+        averageRate:
+          wallSeconds > 0 ? round(video.watchedSeconds / wallSeconds, 2) : null,
+        savedSeconds: round(video.savedSeconds),
+        lastWatched: getDayKey(new Date(video.lastWatched)),
+      };
+    });
+
+  const days = [];
+  for (const day of Object.keys(stats?.days || {}).sort()) {
+    for (const [site, totals] of Object.entries(stats.days[day])) {
+      days.push({
+        date: day,
+        site,
+        watchedSeconds: round(totals.watchedSeconds),
+        savedSeconds: round(totals.savedSeconds),
+      });
+    }
+  }
+
+  return { videos, days };
+}
+
+/**
+ * Quote a value for CSV. Text that a spreadsheet would run as a formula
+ * (page titles are arbitrary) is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render export rows as CSV with a header line
+ * @param {Object[]} rows - Rows from buildStatsExport
+ * @param {string[]} columns - Row keys, in column order
+ * @returns {string} CSV text
+ */
+function rowsToCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => toCsvCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Build the downloadable export files from the local statistics
+ * @param {Object} stats - Statistics as returned by loadStats
+ * @param {Date} exportedAt - Time of the export
+ * @returns {Object} { json, videosCsv, daysCsv } file contents
+ */
+function exportStats(stats, exportedAt = new Date()) {
+  const rows = buildStatsExport(stats);
+  return {
+    json: JSON.stringify(
+      { exportedAt: exportedAt.toISOString(), ...rows },
+      null,
+      2,
+    ),
+    videosCsv: rowsToCsv(rows.videos, [
+      "url",
+      "title",
+      "site",
+      "durationSeconds",
+      "watchedSeconds",
+      "averageRate",
+      "savedSeconds",
+      "lastWatched",
+    ]),
+    daysCsv: rowsToCsv(rows.days, [
+      "date",
+      "site",
+      "watchedSeconds",
+      "savedSeconds",
+    ]),
+  };
+}
+
+// Export functions for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = {
+    STATS_STORAGE_KEY,
+    getDayKey,
+    loadStats,
+    recordWatchTime,
+    clearStats,
+    summarizeStats,
+    buildStatsExport,
+    exportStats,
+  };
+} else {
+  // Browser environment
+  const g =
+    typeof self !== "undefined"
+      ? self
+      : typeof window !== "undefined"
+      ? window
+      : globalThis;
+  g.PulsePlayStats = {
+    STATS_STORAGE_KEY,
+    getDayKey,
+    loadStats,
+    recordWatchTime,
+    clearStats,
+    summarizeStats,
+    buildStatsExport,
+    exportStats,
+  };
+}
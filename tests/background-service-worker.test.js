@@ -5,6 +5,7 @@
 // Mock Chrome APIs
 global.chrome = {
   runtime: {
+    getURL: jest.fn((path) => path),
     onInstalled: { addListener: jest.fn() },
     onStartup: { addListener: jest.fn() },
     onMessage: { addListener: jest.fn() },
@@ -223,6 +224,63 @@ describe("Background Service Worker", () => {
       });
     });
 
+    test("should merge watch time recorded from several tabs", async () => {
+      let stored = {};
+      chrome.storage.local = {
+        get: jest.fn(async () => JSON.parse(JSON.stringify(stored))),
+        set: jest.fn(async (items) => {
+          stored = { ...stored, ...JSON.parse(JSON.stringify(items)) };
+        }),
+        remove: jest.fn(async (key) => {
+          delete stored[key];
+        }),
+      };
+      global.PulsePlayStats = require("../shared/stats.js");
+      const entry = (url) => ({
+        site: "example.com",
+        watchedSeconds: 60,
+        savedSeconds: 30,
+        url,
+      });
+
+      // Both tabs' writes arrive before either has landed
+      const responses = [jest.fn(), jest.fn()];
+      messageHandler(
+        { type: "RECORD_STATS", entry: entry("https://example.com/a") },
+        { tab: { id: 1 } },
+        responses[0],
+      );
+      const result = messageHandler(
+        { type: "RECORD_STATS", entry: entry("https://example.com/b") },
+        { tab: { id: 2 } },
+        responses[1],
+      );
+      expect(result).toBe(true);
+
+      // Wait for async operation
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      responses.forEach((sendResponse) =>
+        expect(sendResponse).toHaveBeenCalledWith({ success: true }),
+      );
+      const stats = stored[PulsePlayStats.STATS_STORAGE_KEY];
+      expect(Object.keys(stats.videos)).toHaveLength(2);
+      const [day] = Object.values(stats.days);
+      expect(day["example.com"]).toEqual({
+        watchedSeconds: 120,
+        savedSeconds: 60,
+      });
+
+      const sendResponse = jest.fn();
+      messageHandler({ type: "CLEAR_STATS" }, {}, sendResponse);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+      expect(stored).toEqual({});
+
+      delete global.PulsePlayStats;
+      delete chrome.storage.local;
+    });
+
     test("should handle unknown message type", () => {
       const sendResponse = jest.fn();
       const result = messageHandler(
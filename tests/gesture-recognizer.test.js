@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the boost key gesture recognizer
+ */
+
+const {
+  GESTURE_NAMES,
+  GestureRecognizer,
+} = require("../content/gesture-recognizer.js");
+
+const THRESHOLDS = { tapGapMs: 300, holdMs: 200, longPressMs: 800 };
+
+describe("Gesture Recognizer", () => {
+  let onGesture;
+  let onHoldEnd;
+
+  const createRecognizer = (bound = GESTURE_NAMES) =>
+    new GestureRecognizer({
+      thresholds: THRESHOLDS,
+      bound,
+      onGesture,
+      onHoldEnd,
+    });
+
+  // Press and release with the given hold time
+  const tap = (recognizer, heldMs = 50) => {
+    recognizer.press();
+    jest.advanceTimersByTime(heldMs);
+    recognizer.release();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onGesture = jest.fn();
+    onHoldEnd = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("should wait for more taps before reporting a single tap", () => {
+    const recognizer = createRecognizer();
+
+    tap(recognizer);
+    expect(onGesture).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(THRESHOLDS.tapGapMs);
+    expect(onGesture).toHaveBeenCalledTimes(1);
+    expect(onGesture).toHaveBeenCalledWith("tap");
+  });
+
+  test("should count taps within the gap as double and triple taps", () => {
+    const recognizer = createRecognizer();
+
+    tap(recognizer);
+    jest.advanceTimersByTime(100);
+    tap(recognizer);
+    jest.advanceTimersByTime(THRESHOLDS.tapGapMs);
+    expect(onGesture).toHaveBeenLastCalledWith("doubleTap");
+
+    tap(recognizer);
+    tap(recognizer);
+    tap(recognizer);
+    expect(onGesture).toHaveBeenLastCalledWith("tripleTap");
+    expect(onGesture).toHaveBeenCalledTimes(2);
+  });
+
+  test("should report taps straight away when no longer tap is bound", () => {
+    const recognizer = createRecognizer(["tap", "hold"]);
+
+    tap(recognizer);
+    expect(onGesture).toHaveBeenCalledWith("tap");
+
+    const doubleOnly = createRecognizer(["tap", "doubleTap"]);
+    onGesture.mockClear();
+    tap(doubleOnly);
+    tap(doubleOnly);
+    expect(onGesture).toHaveBeenCalledTimes(1);
+    expect(onGesture).toHaveBeenCalledWith("doubleTap");
+  });
+
+  test("should report a hold, then a long press, then the release", () => {
+    const recognizer = createRecognizer();
+
+    recognizer.press();
+    jest.advanceTimersByTime(THRESHOLDS.holdMs);
+    expect(onGesture).toHaveBeenCalledWith("hold");
+
+    jest.advanceTimersByTime(THRESHOLDS.longPressMs - THRESHOLDS.holdMs);
+    expect(onGesture).toHaveBeenLastCalledWith("longPress");
+
+    recognizer.release();
+    expect(onHoldEnd).toHaveBeenCalledTimes(1);
+
+    // A hold is never counted as a tap
+    jest.advanceTimersByTime(THRESHOLDS.tapGapMs);
+    expect(onGesture).toHaveBeenCalledTimes(2);
+  });
+
+  test("should ignore key repeats while the key is held", () => {
+    const recognizer = createRecognizer();
+
+    recognizer.press();
+    jest.advanceTimersByTime(100);
+    recognizer.press();
+    jest.advanceTimersByTime(150);
+    // Still one hold measured from the first press
+    expect(onGesture).toHaveBeenCalledTimes(1);
+    expect(onGesture).toHaveBeenCalledWith("hold");
+  });
+
+  test("should drop a gesture in progress on reset", () => {
+    const recognizer = createRecognizer();
+
+    tap(recognizer);
+    recognizer.reset();
+    jest.advanceTimersByTime(THRESHOLDS.longPressMs);
+    expect(onGesture).not.toHaveBeenCalled();
+
+    recognizer.press();
+    jest.advanceTimersByTime(THRESHOLDS.holdMs);
+    recognizer.reset();
+    expect(onHoldEnd).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(THRESHOLDS.longPressMs);
+    expect(onGesture).toHaveBeenCalledTimes(1);
+  });
+});
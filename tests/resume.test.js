@@ -0,0 +1,141 @@
+/**
+ * Unit tests for the per-video resume memory
+ */
+
+// Mock Chrome storage API for testing
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(),
+      set: jest.fn(),
+    },
+  },
+};
+
+// Import resume module
+const {
+  RESUME_STORAGE_KEY,
+  MAX_RESUME_VIDEOS,
+  getResumeKey,
+  getResumeEntry,
+  saveResumeEntry,
+  forgetResumeEntry,
+} = require("../shared/resume.js");
+
+describe("Resume Keys", () => {
+  test("should key YouTube videos by video id", () => {
+    const key = "youtube:abc123";
+
+    expect(getResumeKey("https://www.youtube.com/watch?v=abc123&t=30")).toBe(
+      key,
+    );
+    expect(getResumeKey("https://m.youtube.com/watch?v=abc123")).toBe(key);
+    expect(getResumeKey("https://youtu.be/abc123")).toBe(key);
+    expect(getResumeKey("https://www.youtube.com/shorts/abc123")).toBe(key);
+    expect(getResumeKey("https://www.youtube.com/feed/subscriptions")).toBe(
+      null,
+    );
+  });
+
+  test("should prefer the canonical URL without query or hash", () => {
+    expect(getResumeKey("https://lectures.example.edu/42?ref=home#top")).toBe(
+      "lectures.example.edu/42",
+    );
+    expect(
+      getResumeKey(
+        "https://lectures.example.edu/play?id=42",
+        "https://lectures.example.edu/42",
+      ),
+    ).toBe("lectures.example.edu/42");
+    expect(getResumeKey("not a url")).toBe(null);
+  });
+
+  test("should keep identifying query parameters and the media source", () => {
+    expect(
+      getResumeKey("https://video.example.com/watch?utm_source=x&id=7&v=a"),
+    ).toBe("video.example.com/watch?id=7&v=a");
+    expect(
+      getResumeKey(
+        "https://video.example.com/watch?id=7&t=30",
+        "https://video.example.com/watch",
+      ),
+    ).toBe("video.example.com/watch?id=7");
+
+    // Two videos on one page are kept apart; blob sources change per load
+    const page = "https://course.example.org/week-1";
+    expect(
+      getResumeKey(page, null, "https://cdn.example.org/a.mp4?token=1"),
+    ).toBe("course.example.org/week-1|cdn.example.org/a.mp4");
+    expect(getResumeKey(page, null, "https://cdn.example.org/b.mp4")).toBe(
+      "course.example.org/week-1|cdn.example.org/b.mp4",
+    );
+    expect(getResumeKey(page, null, "blob:https://course.example.org/1")).toBe(
+      "course.example.org/week-1",
+    );
+    expect(
+      getResumeKey(
+        "https://www.youtube.com/watch?v=abc123",
+        null,
+        "blob:https://www.youtube.com/2",
+      ),
+    ).toBe("youtube:abc123");
+  });
+});
+
+describe("Resume Storage", () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {};
+    chrome.storage.local.get.mockImplementation(async (keys) => ({
+      [keys[0]]: stored[keys[0]],
+    }));
+    chrome.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(stored, JSON.parse(JSON.stringify(items)));
+    });
+  });
+
+  test("should remember and forget a video", async () => {
+    const entry = { position: 300, rate: 1.5, locked: true, duration: 600 };
+
+    await saveResumeEntry("youtube:abc123", entry, 1000);
+    expect(await getResumeEntry("youtube:abc123")).toEqual({
+      ...entry,
+      lastSeen: 1000,
+    });
+
+    expect(await forgetResumeEntry("youtube:abc123")).toBe(true);
+    expect(await getResumeEntry("youtube:abc123")).toBe(null);
+    expect(await forgetResumeEntry("youtube:abc123")).toBe(false);
+  });
+
+  test("should drop the least recently seen videos beyond the limit", async () => {
+    const entries = {};
+    for (let i = 0; i < MAX_RESUME_VIDEOS; i++) {
+      entries[`site.example/${i}`] = {
+        position: 60,
+        rate: 2,
+        locked: false,
+        duration: 600,
+        lastSeen: i + 1,
+      };
+    }
+    stored[RESUME_STORAGE_KEY] = entries;
+
+    await Promise.all([
+      saveResumeEntry("site.example/new", { position: 90, rate: 1.5 }, 5000),
+      saveResumeEntry("site.example/0", { position: 120, rate: 2 }, 6000),
+    ]);
+
+    const result = stored[RESUME_STORAGE_KEY];
+    expect(Object.keys(result)).toHaveLength(MAX_RESUME_VIDEOS);
+    expect(result["site.example/0"].position).toBe(120);
+    expect(result["site.example/1"]).toBeUndefined();
+    expect(result["site.example/new"]).toMatchObject({
+      position: 90,
+      locked: false,
+      duration: null,
+    });
+  });
+});
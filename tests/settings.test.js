@@ -22,6 +22,10 @@ const {
   saveSettings,
   resetToDefaults,
   migrateSettings,
+  RULE_TEMPLATE,
+  CHAPTER_RULE_TEMPLATE,
+  SYNC_ITEM_MAX_BYTES,
+  getSettingsSize,
 } = require("../shared/settings.js");
 
 describe("Settings Validation", () => {
@@ -44,15 +48,23 @@ describe("Settings Validation", () => {
   test("should reject invalid speed multiplier", () => {
     const invalidSettings = {
       ...DEFAULT_SETTINGS,
-      speedMultiplier: 10.0, // Too high
+      speedMultiplier: 20.0, // Too high
     };
     const result = validateSettings(invalidSettings);
     expect(result.isValid).toBe(false);
     expect(result.errors).toContain(
-      "Speed multiplier must be a number between 0.25 and 5.0",
+      "Speed multiplier must be a number between 0.25 and 16",
     );
   });
 
+  test("should accept speed multipliers up to 16x", () => {
+    const result = validateSettings({
+      ...DEFAULT_SETTINGS,
+      speedMultiplier: 16,
+    });
+    expect(result.isValid).toBe(true);
+  });
+
   test("should reject invalid modifiers", () => {
     const invalidSettings = {
       ...DEFAULT_SETTINGS,
@@ -86,6 +98,220 @@ describe("Settings Validation", () => {
       "Indicator timeout must be a number between 500 and 10000",
     );
   });
+
+  test("should reject invalid slow-down settings", () => {
+    const invalidSettings = {
+      ...DEFAULT_SETTINGS,
+      slowDown: {
+        ...DEFAULT_SETTINGS.slowDown,
+        key: "InvalidKey",
+        speedMultiplier: 1.5, // Not a slow-down
+      },
+    };
+    const result = validateSettings(invalidSettings);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain("Invalid slow-down hotkey: InvalidKey");
+    expect(result.errors).toContain(
+      "Slow-down multiplier must be a number between 0.25 and 0.95",
+    );
+  });
+
+  test("should reject a ramp that starts above its ceiling", () => {
+    const invalidSettings = {
+      ...DEFAULT_SETTINGS,
+      ramp: {
+        ...DEFAULT_SETTINGS.ramp,
+        startMultiplier: 4.0,
+        maxMultiplier: 3.0,
+        stepIntervalMs: 50, // Too fast
+      },
+    };
+    const result = validateSettings(invalidSettings);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain(
+      "ramp.startMultiplier must not exceed ramp.maxMultiplier",
+    );
+    expect(result.errors).toContain(
+      "ramp.stepIntervalMs must be a number between 100 and 10000",
+    );
+  });
+
+  test("should reject duplicate step hotkeys", () => {
+    const invalidSettings = {
+      ...DEFAULT_SETTINGS,
+      speedStep: {
+        ...DEFAULT_SETTINGS.speedStep,
+        resetKey: DEFAULT_SETTINGS.speedStep.increaseKey,
+      },
+    };
+    const result = validateSettings(invalidSettings);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain("speedStep keys must all be different");
+  });
+
+  test("should reject malformed site rules", () => {
+    const invalidSettings = {
+      ...DEFAULT_SETTINGS,
+      rules: [
+        {
+          ...RULE_TEMPLATE,
+          urlPattern: "youtube.com",
+          titlePattern: "(unclosed",
+          minDuration: 600,
+          maxDuration: 60,
+        },
+      ],
+    };
+    const result = validateSettings(invalidSettings);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain(
+      "rules[0].titlePattern is not a valid regular expression",
+    );
+    expect(result.errors).toContain(
+      "rules[0].minDuration must not exceed maxDuration",
+    );
+  });
+
+  test("should reject out-of-range lock release timings", () => {
+    const result = validateSettings({
+      ...DEFAULT_SETTINGS,
+      lockRelease: {
+        ...DEFAULT_SETTINGS.lockRelease,
+        pausedSeconds: 1,
+        onEnded: "yes",
+      },
+    });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain(
+      "lockRelease.pausedSeconds must be a number between 5 and 3600",
+    );
+    expect(result.errors).toContain("lockRelease.onEnded must be a boolean");
+  });
+
+  test("should reject an out-of-range turbo multiplier", () => {
+    const result = validateSettings({
+      ...DEFAULT_SETTINGS,
+      speedLock: { ...DEFAULT_SETTINGS.speedLock, turboMultiplier: 1 },
+    });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain(
+      "speedLock.turboMultiplier must be a number between 1.25 and 4",
+    );
+  });
+
+  test("should reject an unknown boost mode", () => {
+    const result = validateSettings({ ...DEFAULT_SETTINGS, boostMode: "add" });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain("Invalid boost mode: add");
+  });
+
+  test("should reject an unknown activation mode", () => {
+    const result = validateSettings({
+      ...DEFAULT_SETTINGS,
+      hotkey: { ...DEFAULT_SETTINGS.hotkey, activationMode: "press" },
+    });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain("Invalid activation mode: press");
+  });
+
+  test("should reject gesture thresholds that overlap", () => {
+    const invalidSettings = {
+      ...DEFAULT_SETTINGS,
+      gestures: {
+        ...DEFAULT_SETTINGS.gestures,
+        holdMs: 500,
+        longPressMs: 400,
+        tripleTap: "fastForward",
+      },
+    };
+    const result = validateSettings(invalidSettings);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain(
+      "gestures.longPressMs must be greater than holdMs",
+    );
+    expect(result.errors).toContain("Invalid gestures.tripleTap: fastForward");
+  });
+
+  test("should reject clashing frame step hotkeys", () => {
+    const invalidSettings = {
+      ...DEFAULT_SETTINGS,
+      frameStep: {
+        ...DEFAULT_SETTINGS.frameStep,
+        backwardKey: DEFAULT_SETTINGS.frameStep.forwardKey,
+        fallbackFps: 0,
+      },
+    };
+    const result = validateSettings(invalidSettings);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain("frameStep keys must be different");
+    expect(result.errors).toContain(
+      "frameStep.fallbackFps must be a number between 1 and 240",
+    );
+  });
+
+  test("should reject clashing loop hotkeys", () => {
+    const invalidSettings = {
+      ...DEFAULT_SETTINGS,
+      loop: {
+        ...DEFAULT_SETTINGS.loop,
+        toggleKey: DEFAULT_SETTINGS.loop.pointAKey,
+        playbackRate: 0.1,
+      },
+    };
+    const result = validateSettings(invalidSettings);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain("loop keys must all be different");
+    expect(result.errors).toContain(
+      "loop.playbackRate must be a number between 0.25 and 16",
+    );
+  });
+
+  test("should reject one key bound to two enabled features", () => {
+    const clashing = {
+      ...DEFAULT_SETTINGS,
+      seek: { ...DEFAULT_SETTINGS.seek, enabled: true },
+      loop: { ...DEFAULT_SETTINGS.loop, enabled: true, pointAKey: "KeyJ" },
+      slowDown: {
+        ...DEFAULT_SETTINGS.slowDown,
+        enabled: true,
+        key: "Backquote",
+      },
+    };
+    const result = validateSettings(clashing);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain(
+      "KeyJ is bound to both seek-backward and loop-a",
+    );
+    expect(result.errors).toContain(
+      "Backquote is bound to both boost and slow-down",
+    );
+
+    // Disabled features and different modifiers don't claim the key
+    const separate = {
+      ...clashing,
+      loop: { ...clashing.loop, enabled: false },
+      slowDown: { ...clashing.slowDown, modifiers: ["shift"] },
+    };
+    expect(validateSettings(separate).isValid).toBe(true);
+  });
+
+  test("should reject malformed chapter rules", () => {
+    const invalidSettings = {
+      ...DEFAULT_SETTINGS,
+      chapterRules: [
+        { ...CHAPTER_RULE_TEMPLATE, titlePattern: "[", action: "skip" },
+        { ...CHAPTER_RULE_TEMPLATE, titlePattern: "intro", action: "mute" },
+        { ...CHAPTER_RULE_TEMPLATE, titlePattern: "q&a", playbackRate: null },
+      ],
+    };
+    const result = validateSettings(invalidSettings);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain(
+      "chapterRules[0].titlePattern is not a valid regular expression",
+    );
+    expect(result.errors).toContain("Invalid chapterRules[1].action: mute");
+    expect(result.errors).toContain("chapterRules[2].playbackRate is required");
+  });
 });
 
 describe("Settings Merging", () => {
@@ -107,17 +333,140 @@ describe("Settings Merging", () => {
     expect(result.hotkey).toEqual(DEFAULT_SETTINGS.hotkey); // Should keep default
   });
 
+  test("should turn the old speed lock switch into an activation mode", () => {
+    const result = mergeWithDefaults({
+      speedLock: { enabled: true, doubleTapMs: 300, hideOverlay: false },
+    });
+
+    expect(result.hotkey.activationMode).toBe("holdLock");
+    expect(result.speedLock).toEqual({
+      doubleTapMs: 300,
+      hideOverlay: false,
+      followNavigation: false,
+      turboMultiplier: null,
+    });
+  });
+
   test("should preserve all user settings when complete", () => {
     const customSettings = {
-      hotkey: { key: "KeyS", modifiers: ["Ctrl"], enabled: true },
+      hotkey: {
+        key: "KeyS",
+        modifiers: ["Ctrl"],
+        enabled: true,
+        activationMode: "toggle",
+      },
       speedMultiplier: 2.5,
+      boostMode: "relative",
       platforms: { youtube: false, vimeo: true, netflix: false, generic: true },
       ui: {
         showIndicator: false,
         indicatorPosition: "bottom-left",
         indicatorTimeout: 3000,
+        showTimeLeft: true,
+        showTimeSaved: false,
+      },
+      speedLock: {
+        doubleTapMs: 400,
+        hideOverlay: true,
+        followNavigation: true,
+        turboMultiplier: 1.5,
+      },
+      lockRelease: {
+        onEnded: true,
+        pausedSeconds: 60,
+        afterMinutes: null,
+        onTabHidden: false,
+        onDomainChange: true,
+      },
+      slowDown: {
+        enabled: true,
+        key: "KeyQ",
+        modifiers: [],
+        speedMultiplier: 0.75,
+      },
+      ramp: {
+        enabled: true,
+        startMultiplier: 1.25,
+        stepMultiplier: 0.25,
+        stepIntervalMs: 500,
+        maxMultiplier: 4.0,
+      },
+      speedStep: {
+        enabled: true,
+        increment: 0.1,
+        increaseKey: "Period",
+        decreaseKey: "Comma",
+        resetKey: "Slash",
+        modifiers: ["shift"],
+      },
+      seek: {
+        enabled: true,
+        forwardKey: "ArrowRight",
+        backwardKey: "ArrowLeft",
+        modifiers: ["shift"],
+        seconds: 10,
+        scaleWithSpeed: false,
+      },
+      silenceSkip: {
+        enabled: true,
+        thresholdDb: -45,
+        minSilenceMs: 500,
+        speedMultiplier: 4.0,
       },
-      speedLock: { enabled: true, doubleTapMs: 400, hideOverlay: true },
+      finishBy: { minRate: 1.25, maxRate: 4.0 },
+      adBoost: { enabled: true, speedMultiplier: 8, mute: false },
+      rewind: { enabled: true, mode: "percent", seconds: 5, percent: 20 },
+      transition: { enabled: true, durationMs: 500 },
+      pitch: {
+        preservePitch: false,
+        chipmunkMode: true,
+        chipmunkThreshold: 3.0,
+      },
+      loop: {
+        enabled: true,
+        pointAKey: "KeyZ",
+        pointBKey: "KeyX",
+        toggleKey: "KeyC",
+        modifiers: ["alt"],
+        playbackRate: 0.75,
+      },
+      frameStep: {
+        enabled: true,
+        forwardKey: "KeyM",
+        backwardKey: "KeyN",
+        modifiers: ["shift"],
+        fallbackFps: 24,
+      },
+      gestures: {
+        tapGapMs: 400,
+        holdMs: 250,
+        longPressMs: 1000,
+        tap: "stepUp",
+        doubleTap: "reset",
+        tripleTap: "rewind",
+        longPress: "lock",
+        hold: "boost",
+      },
+      chapters: { enabled: true, showName: false },
+      resume: { enabled: true, offerPosition: false, restoreRate: true },
+      chapterRules: [
+        { titlePattern: "sponsor", action: "skip", playbackRate: null },
+        { titlePattern: "q&a", action: "speed", playbackRate: 1.25 },
+      ],
+      rules: [
+        {
+          urlPattern: "lectures.example.edu",
+          titlePattern: "",
+          minDuration: 1200,
+          maxDuration: null,
+          playbackRate: 1.5,
+          speedLock: false,
+          speedMultiplier: 3.0,
+          disabled: false,
+          preservesPitch: true,
+          noResume: true,
+        },
+      ],
     };
     const result = mergeWithDefaults(customSettings);
     expect(result).toEqual(customSettings);
@@ -158,7 +507,7 @@ describe("Settings Storage", () => {
 
   test("should migrate invalid stored settings", async () => {
     const invalidSettings = {
-      speedMultiplier: 10.0, // Invalid
+      speedMultiplier: 20.0, // Invalid
       platforms: { youtube: true },
     };
     chrome.storage.sync.get.mockResolvedValue({
@@ -190,10 +539,56 @@ describe("Settings Storage", () => {
     });
   });
 
+  test("should save rule lists at their maximum size within sync quota", async () => {
+    chrome.storage.sync.set.mockResolvedValue();
+
+    const fullSettings = {
+      ...DEFAULT_SETTINGS,
+      rules: Array.from(
+        { length: VALIDATION_RULES.rules.maxItems },
+        (_, i) => ({
+          ...RULE_TEMPLATE,
+          urlPattern: `lectures${i}.example.edu`,
+          titlePattern: "podcast|interview",
+          minDuration: 600,
+          maxDuration: 7200,
+          playbackRate: 1.75,
+          speedMultiplier: 2.5,
+          preservesPitch: true,
+        }),
+      ),
+      chapterRules: Array.from(
+        { length: VALIDATION_RULES.chapterRules.maxItems },
+        (_, i) => ({
+          ...CHAPTER_RULE_TEMPLATE,
+          titlePattern: `sponsor ${i}`,
+          playbackRate: 2.5,
+        }),
+      ),
+    };
+
+    expect(getSettingsSize(fullSettings)).toBeLessThanOrEqual(
+      SYNC_ITEM_MAX_BYTES,
+    );
+    expect(await saveSettings(fullSettings)).toBe(true);
+    expect(chrome.storage.sync.set).toHaveBeenCalledWith({
+      videoSpeedHotkeySettings: fullSettings,
+    });
+
+    // Long patterns can still outgrow the item within the caps
+    fullSettings.rules.slice(0, 12).forEach((rule) => {
+      rule.titlePattern = "x".repeat(200);
+    });
+    const result = validateSettings(fullSettings);
+    expect(result.errors).toContain(
+      `Settings must not exceed ${SYNC_ITEM_MAX_BYTES} bytes; remove some rules`,
+    );
+  });
+
   test("should reject saving invalid settings", async () => {
     const invalidSettings = {
       ...DEFAULT_SETTINGS,
-      speedMultiplier: 10.0, // Invalid
+      speedMultiplier: 20.0, // Invalid
     };
 
     const result = await saveSettings(invalidSettings);
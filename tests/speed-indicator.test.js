@@ -38,7 +38,10 @@ global.chrome = {
 };
 
 // Load the content script
-const { VideoSpeedController } = require("../content/content-script.js");
+const {
+  VideoSpeedController,
+  ContentScriptManager,
+} = require("../content/content-script.js");
 
 describe("Speed Indicator Functionality", () => {
   let controller;
@@ -321,6 +324,1228 @@ describe("Speed Indicator Functionality", () => {
       expect(indicator.textContent).toBe("2.0x");
     });
 
+    test("should slow down and show indicator while slow-down key is held", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.slowDown = {
+        enabled: true,
+        key: "Digit1",
+        modifiers: [],
+        speedMultiplier: 0.5,
+      };
+
+      const mockEvent = {
+        key: "1",
+        code: "Digit1",
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      };
+
+      controller.handleKeyDown(mockEvent);
+
+      expect(mockVideo.playbackRate).toBe(0.5);
+      expect(controller.hotkeyState.action).toBe("slow");
+      const indicator = document.getElementById("video-speed-hotkey-indicator");
+      expect(indicator.textContent).toBe("0.5x");
+
+      controller.handleKeyUp(mockEvent);
+
+      expect(mockVideo.playbackRate).toBe(1.0);
+      expect(controller.hotkeyState.isPressed).toBe(false);
+    });
+
+    test("should ramp the boosted rate up to the ceiling while held", () => {
+      jest.useFakeTimers();
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.lastActiveVideo = mockVideo;
+      controller.settings.ramp = {
+        enabled: true,
+        startMultiplier: 1.5,
+        stepMultiplier: 0.5,
+        stepIntervalMs: 1000,
+        maxMultiplier: 2.5,
+      };
+
+      controller.activateSpeedBoost({ key: "Space" });
+      expect(mockVideo.playbackRate).toBe(1.5);
+
+      jest.advanceTimersByTime(1000);
+      expect(mockVideo.playbackRate).toBe(2.0);
+      const indicator = document.getElementById("video-speed-hotkey-indicator");
+      expect(indicator.textContent).toBe("2.0x");
+      expect(indicator.querySelector(".speed-icon")).toBeTruthy();
+
+      jest.advanceTimersByTime(5000);
+      expect(mockVideo.playbackRate).toBe(2.5);
+      expect(controller.rampTimer).toBeNull();
+
+      controller.deactivateSpeedBoost();
+      expect(mockVideo.playbackRate).toBe(1.0);
+
+      // In relative mode the whole ramp scales with the pre-boost rate
+      controller.settings.boostMode = "relative";
+      mockVideo.playbackRate = 2.0;
+      controller.activateSpeedBoost({ key: "Space" });
+      expect(mockVideo.playbackRate).toBe(3.0);
+      jest.advanceTimersByTime(1000);
+      expect(mockVideo.playbackRate).toBe(4.0);
+      jest.advanceTimersByTime(5000);
+      expect(mockVideo.playbackRate).toBe(5.0);
+      expect(controller.rampTimer).toBeNull();
+
+      controller.deactivateSpeedBoost();
+      expect(mockVideo.playbackRate).toBe(2.0);
+      jest.useRealTimers();
+    });
+
+    test("should step the base rate and return to it after a boost", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.speedStep = {
+        enabled: true,
+        increment: 0.25,
+        increaseKey: "BracketRight",
+        decreaseKey: "BracketLeft",
+        resetKey: "Backslash",
+        modifiers: [],
+      };
+      const stepUp = {
+        key: "]",
+        code: "BracketRight",
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      };
+
+      controller.handleKeyDown(stepUp);
+      controller.handleKeyDown(stepUp);
+
+      expect(mockVideo.playbackRate).toBe(1.5);
+      expect(controller.trackedVideos.get(mockVideo).originalRate).toBe(1.5);
+      const indicator = document.getElementById("video-speed-hotkey-indicator");
+      expect(indicator.textContent).toBe("1.5x");
+
+      controller.applySpeedBoost(2.0);
+      controller.restoreOriginalSpeed();
+      expect(mockVideo.playbackRate).toBe(1.5);
+
+      controller.stepBaseSpeed("reset");
+      expect(mockVideo.playbackRate).toBe(1.0);
+    });
+
+    test("should speed through silence and return to the speech rate", () => {
+      jest.useFakeTimers();
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      Object.defineProperty(mockVideo, "paused", { value: false });
+      controller.settings.silenceSkip = {
+        enabled: true,
+        thresholdDb: -50,
+        minSilenceMs: 300,
+        speedMultiplier: 3.0,
+      };
+      controller.trackedVideos.set(mockVideo, {
+        originalRate: 1.25,
+        isSpeedBoosted: false,
+        platform: "generic",
+        lastInteraction: Date.now(),
+      });
+      mockVideo.playbackRate = 1.25;
+
+      let level = 0.2; // roughly -14 dB
+      const samples = new Float32Array(64);
+      jest.spyOn(controller, "getAudioAnalyser").mockReturnValue({
+        samples,
+        analyser: {
+          getFloatTimeDomainData: (buffer) => buffer.fill(level),
+        },
+      });
+
+      controller.updateSilenceSkipping();
+      jest.advanceTimersByTime(200);
+      expect(mockVideo.playbackRate).toBe(1.25);
+
+      level = 0.0001; // -80 dB
+      jest.advanceTimersByTime(400);
+      expect(mockVideo.playbackRate).toBe(3.0);
+
+      // Holding the hotkey during silence still returns to the speech rate
+      controller.applySpeedBoost(2.0);
+      expect(mockVideo.playbackRate).toBe(2.0);
+      controller.restoreOriginalSpeed();
+      expect(controller.trackedVideos.get(mockVideo).originalRate).toBe(1.25);
+
+      level = 0.2;
+      jest.advanceTimersByTime(100);
+      expect(mockVideo.playbackRate).toBe(1.25);
+
+      controller.stopSilenceSkipping();
+      jest.useRealTimers();
+    });
+
+    test("should leave cross-origin and silent-graph audio alone", () => {
+      jest.useFakeTimers();
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      Object.defineProperty(mockVideo, "paused", { value: false });
+      controller.settings.silenceSkip = {
+        enabled: true,
+        thresholdDb: -50,
+        minSilenceMs: 300,
+        speedMultiplier: 3.0,
+      };
+      const source = { connect: jest.fn(), disconnect: jest.fn() };
+      const destination = {};
+      const context = {
+        state: "running",
+        destination,
+        createMediaElementSource: jest.fn(() => source),
+        createAnalyser: () => ({
+          fftSize: 64,
+          connect: jest.fn(),
+          disconnect: jest.fn(),
+          getFloatTimeDomainData: (buffer) => buffer.fill(0),
+        }),
+      };
+      window.AudioContext = jest.fn(() => context);
+      Object.defineProperty(window.navigator, "userActivation", {
+        value: { hasBeenActive: true },
+        configurable: true,
+      });
+
+      // Cross-origin media without CORS is never routed through Web Audio
+      mockVideo.src = "https://cdn.example.net/video.mp4";
+      expect(controller.startSilenceSkipping(mockVideo)).toBe(false);
+      expect(context.createMediaElementSource).not.toHaveBeenCalled();
+
+      // Same-origin media that never yields samples is taken back out
+      mockVideo.src = "https://example.com/video.mp4";
+      expect(controller.startSilenceSkipping(mockVideo)).toBe(true);
+      jest.advanceTimersByTime(3100);
+      expect(controller.silenceState).toBeNull();
+      expect(source.disconnect).toHaveBeenCalled();
+      expect(source.connect).toHaveBeenLastCalledWith(destination);
+      expect(controller.startSilenceSkipping(mockVideo)).toBe(false);
+
+      delete window.AudioContext;
+      delete window.navigator.userActivation;
+      jest.useRealTimers();
+    });
+
+    test("should apply pitch preservation and restore the video's own value", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.pitch = {
+        preservePitch: true,
+        chipmunkMode: true,
+        chipmunkThreshold: 2.5,
+      };
+      mockVideo.preservesPitch = false;
+
+      controller.applySpeedBoost(2.0);
+      expect(mockVideo.preservesPitch).toBe(true);
+      controller.restoreOriginalSpeed();
+
+      controller.applySpeedBoost(3.0);
+      expect(mockVideo.preservesPitch).toBe(false);
+      controller.restoreOriginalSpeed();
+
+      controller.activeRule = { preservesPitch: false };
+      controller.applySpeedBoost(2.0);
+      expect(mockVideo.preservesPitch).toBe(false);
+      controller.activeRule = null;
+
+      mockVideo.preservesPitch = true;
+      controller.resetAllSpeeds();
+      expect(mockVideo.preservesPitch).toBe(false);
+      expect(mockVideo.playbackRate).toBe(1.0);
+    });
+
+    test("should ease between rates and reverse cleanly mid-transition", () => {
+      jest.useFakeTimers();
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.transition = { enabled: true, durationMs: 200 };
+
+      controller.applySpeedBoost(3.0);
+      jest.advanceTimersByTime(100);
+      const midRate = mockVideo.playbackRate;
+      expect(midRate).toBeGreaterThan(1.0);
+      expect(midRate).toBeLessThan(3.0);
+
+      // Release mid-transition; intermediate ratechanges are not user edits
+      controller.restoreOriginalSpeed();
+      jest.advanceTimersByTime(50);
+      controller.handleVideoRateChange(mockVideo, { type: "ratechange" });
+      expect(mockVideo.playbackRate).toBeLessThan(midRate);
+      expect(controller.trackedVideos.get(mockVideo).originalRate).toBe(1.0);
+
+      jest.advanceTimersByTime(300);
+      expect(mockVideo.playbackRate).toBe(1.0);
+      expect(controller.rateTransitions.size).toBe(0);
+      jest.useRealTimers();
+    });
+
+    test("should rewind by a share of the boosted span on release", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.rewind = {
+        enabled: true,
+        mode: "percent",
+        seconds: 3,
+        percent: 10,
+      };
+      Object.defineProperty(mockVideo, "duration", { value: 600 });
+      Object.defineProperty(mockVideo, "seekable", {
+        value: { length: 1, start: () => 100, end: () => 600 },
+      });
+      mockVideo.currentTime = 120;
+
+      controller.activateSpeedBoost({ key: " ", code: "Space" });
+      mockVideo.currentTime = 150;
+      controller.deactivateSpeedBoost();
+
+      expect(mockVideo.currentTime).toBe(147);
+      const indicator = document.getElementById("video-speed-hotkey-indicator");
+      expect(indicator.textContent).toBe("↺ 3s");
+
+      // Never seek before the start of the seekable range
+      controller.settings.rewind.mode = "seconds";
+      controller.settings.rewind.seconds = 30;
+      mockVideo.currentTime = 110;
+      expect(controller.rewindAfterBoost(mockVideo, 100)).toBe(10);
+      expect(mockVideo.currentTime).toBe(100);
+    });
+
+    test("should not rewind live streams", () => {
+      controller.settings.rewind = { enabled: true, mode: "seconds", seconds: 3 };
+      Object.defineProperty(mockVideo, "duration", { value: Infinity });
+      mockVideo.currentTime = 50;
+
+      expect(controller.rewindAfterBoost(mockVideo, 40)).toBe(0);
+      expect(mockVideo.currentTime).toBe(50);
+    });
+
+    test("should seek by a step scaled to the playback rate", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.seek = {
+        enabled: true,
+        forwardKey: "KeyL",
+        backwardKey: "KeyJ",
+        modifiers: [],
+        seconds: 5,
+        scaleWithSpeed: true,
+      };
+      Object.defineProperty(mockVideo, "duration", { value: 600 });
+      mockVideo.currentTime = 30;
+      mockVideo.playbackRate = 2.0;
+      const keyEvent = (key, code) => ({
+        key,
+        code,
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      });
+
+      const forward = keyEvent("l", "KeyL");
+      controller.handleKeyDown(forward);
+      expect(forward.preventDefault).toHaveBeenCalled();
+      expect(mockVideo.currentTime).toBe(40);
+      const indicator = document.getElementById("video-speed-hotkey-indicator");
+      expect(indicator.textContent).toBe("+10s");
+
+      // Backward seeks stop at the start of the video
+      mockVideo.playbackRate = 1.0;
+      mockVideo.currentTime = 3;
+      controller.handleKeyDown(keyEvent("j", "KeyJ"));
+      expect(mockVideo.currentTime).toBe(0);
+
+      // Nothing to seek leaves the key to the page's own J/L
+      const atStart = keyEvent("j", "KeyJ");
+      controller.handleKeyDown(atStart);
+      expect(atStart.preventDefault).not.toHaveBeenCalled();
+      controller.getActiveVideo.mockReturnValue(null);
+      const noVideo = keyEvent("l", "KeyL");
+      controller.handleKeyDown(noVideo);
+      expect(noVideo.preventDefault).not.toHaveBeenCalled();
+      expect(noVideo.stopPropagation).not.toHaveBeenCalled();
+    });
+
+    test("should toggle the boost with single taps in toggle mode", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.settings.hotkey = {
+        ...controller.settings.hotkey,
+        key: "Backquote",
+        activationMode: "toggle",
+      };
+      mockVideo.playbackRate = 1.25;
+      const keyEvent = {
+        key: "`",
+        code: "Backquote",
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      };
+      const tap = () => {
+        controller.handleKeyDown(keyEvent);
+        // Key repeats while held don't toggle it back
+        controller.handleKeyDown(keyEvent);
+        controller.handleKeyUp(keyEvent);
+      };
+
+      tap();
+      expect(controller.speedLockActive).toBe(true);
+      expect(mockVideo.playbackRate).toBe(2.0);
+
+      tap();
+      expect(controller.speedLockActive).toBe(false);
+      expect(mockVideo.playbackRate).toBe(1.25);
+    });
+
+    test("should run the actions bound to key gestures", () => {
+      jest.useFakeTimers();
+      globalThis.PulsePlayGestures = require("../content/gesture-recognizer.js");
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.settings.hotkey = {
+        ...controller.settings.hotkey,
+        key: "Backquote",
+        activationMode: "gestures",
+      };
+      controller.settings.gestures = {
+        tapGapMs: 300,
+        holdMs: 200,
+        longPressMs: 800,
+        tap: "none",
+        doubleTap: "lock",
+        tripleTap: "none",
+        longPress: "none",
+        hold: "boost",
+      };
+      mockVideo.playbackRate = 1.25;
+      const keyEvent = {
+        key: "`",
+        code: "Backquote",
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      };
+      const press = (heldMs) => {
+        controller.handleKeyDown(keyEvent);
+        jest.advanceTimersByTime(heldMs);
+        controller.handleKeyUp(keyEvent);
+      };
+
+      // Holding boosts until release
+      controller.handleKeyDown(keyEvent);
+      jest.advanceTimersByTime(250);
+      expect(mockVideo.playbackRate).toBe(2.0);
+      controller.handleKeyUp(keyEvent);
+      expect(mockVideo.playbackRate).toBe(1.25);
+
+      // A double tap locks, and another one unlocks
+      press(50);
+      press(50);
+      expect(controller.speedLockActive).toBe(true);
+      expect(mockVideo.playbackRate).toBe(2.0);
+      press(50);
+      press(50);
+      expect(controller.speedLockActive).toBe(false);
+      expect(mockVideo.playbackRate).toBe(1.25);
+
+      jest.useRealTimers();
+      delete globalThis.PulsePlayGestures;
+    });
+
+    test("should carry the lock to a new source when it follows", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.settings.speedLock = {
+        doubleTapMs: 300,
+        hideOverlay: false,
+        followNavigation: true,
+      };
+      controller.engageSpeedLock();
+      expect(mockVideo.playbackRate).toBe(2.0);
+
+      // Autoplay swaps the source, which resets the element's rate
+      controller.handleVideoLoadStart(mockVideo, { type: "loadstart" });
+      mockVideo.playbackRate = 1.0;
+      controller.hideSpeedIndicator(true);
+      expect(controller.pendingLockFollow).toBe(true);
+
+      controller.handleVideoPlay(mockVideo, { type: "play" });
+      expect(controller.speedLockActive).toBe(true);
+      expect(controller.pendingLockFollow).toBe(false);
+      expect(mockVideo.playbackRate).toBe(2.0);
+      expect(
+        document.getElementById("video-speed-hotkey-indicator"),
+      ).toBeTruthy();
+
+      // Without the option the lock stays with the old source
+      controller.settings.speedLock.followNavigation = false;
+      controller.handleVideoLoadStart(mockVideo, { type: "loadstart" });
+      expect(controller.pendingLockFollow).toBe(false);
+    });
+
+    test("should keep the timed release deadline across navigation", () => {
+      jest.useFakeTimers();
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.settings.speedLock = {
+        doubleTapMs: 300,
+        hideOverlay: false,
+        followNavigation: true,
+      };
+      controller.settings.lockRelease = {
+        onEnded: false,
+        pausedSeconds: null,
+        afterMinutes: 10,
+        onTabHidden: false,
+        onDomainChange: false,
+      };
+      global.location = window.location;
+      const manager = new ContentScriptManager();
+      manager.videoController = controller;
+      mockVideo.playbackRate = 1.25;
+      controller.engageSpeedLock();
+
+      // An SPA navigation six minutes in carries the lock over
+      jest.advanceTimersByTime(6 * 60000);
+      manager.handleNavigation(
+        "https://example.com/watch/1",
+        "https://example.com/watch/2",
+      );
+      expect(controller.pendingLockFollow).toBe(true);
+      jest.advanceTimersByTime(500);
+      expect(controller.speedLockActive).toBe(true);
+
+      // ...and the lock still ends ten minutes after it was engaged
+      jest.advanceTimersByTime(4 * 60000 - 500);
+      expect(controller.speedLockActive).toBe(false);
+      expect(controller.pendingLockFollow).toBe(false);
+      expect(mockVideo.playbackRate).toBe(1.25);
+
+      delete global.location;
+      jest.useRealTimers();
+    });
+
+    test("should restore a remembered rate and offer to resume", async () => {
+      const { getResumeKey } = require("../shared/resume.js");
+      const saveResumeEntry = jest.fn();
+      globalThis.PulsePlayResume = {
+        getResumeKey,
+        getResumeEntry: jest.fn().mockResolvedValue({
+          position: 300,
+          rate: 1.5,
+          locked: false,
+          duration: 600,
+          lastSeen: 1,
+        }),
+        saveResumeEntry,
+        forgetResumeEntry: jest.fn(),
+      };
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.resume = {
+        enabled: true,
+        offerPosition: true,
+        restoreRate: true,
+      };
+      Object.defineProperty(mockVideo, "duration", {
+        value: 600,
+        configurable: true,
+      });
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+
+      await controller.restoreVideo(mockVideo);
+      // Keyed by page and media file
+      const key = "example.com/|example.com/test-video.mp4";
+      expect(
+        globalThis.PulsePlayResume.getResumeEntry,
+      ).toHaveBeenCalledWith(key);
+      expect(mockVideo.playbackRate).toBe(1.5);
+
+      const button = document.getElementById("video-speed-hotkey-resume");
+      expect(button.textContent).toBe("Resume at 5:00");
+      button.click();
+      expect(mockVideo.currentTime).toBe(300);
+      expect(document.getElementById("video-speed-hotkey-resume")).toBeFalsy();
+
+      // The base rate is saved, not the boost on top of it
+      controller.applySpeedBoost(2.0);
+      controller.handleVideoPaused(mockVideo, { type: "pause" });
+      expect(saveResumeEntry).toHaveBeenCalledWith(key, {
+        position: 300,
+        rate: 1.5,
+        locked: false,
+        duration: 600,
+      });
+
+      // Saves come every 15 s of wall-clock time, however fast it plays
+      const now = jest.spyOn(Date, "now").mockReturnValue(1000000);
+      controller.rememberVideo(mockVideo);
+      saveResumeEntry.mockClear();
+      mockVideo.currentTime = 340;
+      now.mockReturnValue(1010000);
+      controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      expect(saveResumeEntry).not.toHaveBeenCalled();
+      mockVideo.currentTime = 362;
+      now.mockReturnValue(1015000);
+      controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      expect(saveResumeEntry).toHaveBeenCalledTimes(1);
+      now.mockRestore();
+
+      // A site rule can opt out
+      saveResumeEntry.mockClear();
+      controller.activeRule = { noResume: true };
+      controller.handleVideoPaused(mockVideo, { type: "pause" });
+      expect(saveResumeEntry).not.toHaveBeenCalled();
+
+      delete globalThis.PulsePlayResume;
+    });
+
+    test("should leave the remembered entry alone while an ad plays", async () => {
+      const saveResumeEntry = jest.fn();
+      globalThis.PulsePlayResume = {
+        getResumeKey: () => "youtube:abc123",
+        getResumeEntry: jest.fn().mockResolvedValue({
+          position: 300,
+          rate: 1.5,
+          locked: false,
+          duration: 600,
+          lastSeen: 1,
+        }),
+        saveResumeEntry,
+        forgetResumeEntry: jest.fn(),
+      };
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.resume = {
+        enabled: true,
+        offerPosition: true,
+        restoreRate: true,
+      };
+      controller.settings.adBoost = {
+        enabled: false,
+        speedMultiplier: 16,
+        mute: true,
+      };
+      Object.defineProperty(mockVideo, "duration", {
+        value: 600,
+        configurable: true,
+      });
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      await controller.restoreVideo(mockVideo);
+      controller.dismissResumeOffer();
+      const videoState = controller.trackedVideos.get(mockVideo);
+      mockVideo.currentTime = 120;
+      controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      expect(videoState.resumePosition).toBe(120);
+
+      // A mid-roll ad plays in the same element at normal speed
+      const player = document.createElement("div");
+      player.id = "movie_player";
+      player.className = "html5-video-player ad-showing";
+      document.body.appendChild(player);
+      mockVideo.currentTime = 5;
+      controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      expect(videoState.resumePosition).toBe(120);
+      controller.handleVideoPaused(mockVideo, { type: "pause" });
+      controller.handleVideoLoadStart(mockVideo, { type: "loadstart" });
+
+      // The ad's own load isn't keyed and gets no resume offer
+      PulsePlayResume.getResumeEntry.mockClear();
+      await controller.restoreVideo(mockVideo);
+      expect(videoState.resumeKey).toBeNull();
+      expect(PulsePlayResume.getResumeEntry).not.toHaveBeenCalled();
+      expect(document.getElementById("video-speed-hotkey-resume")).toBeFalsy();
+      controller.handleVideoPaused(mockVideo, { type: "pause" });
+      expect(saveResumeEntry).not.toHaveBeenCalled();
+
+      delete globalThis.PulsePlayResume;
+    });
+
+    test("should multiply the current rate in relative boost mode", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.settings.boostMode = "relative";
+      controller.lastActiveVideo = mockVideo;
+      mockVideo.playbackRate = 1.5;
+
+      controller.engageSpeedLock();
+      expect(mockVideo.playbackRate).toBe(3.0);
+      expect(
+        document.getElementById("video-speed-hotkey-indicator").textContent,
+      ).toContain("1.5x → 3.0x");
+
+      // A new multiplier scales the pre-lock rate, not the locked one
+      controller.settings.speedMultiplier = 3.0;
+      expect(controller.getBoostRate(mockVideo)).toBe(4.5);
+      controller.releaseSpeedLock();
+      expect(mockVideo.playbackRate).toBe(1.5);
+
+      // Clamped to the ceiling
+      mockVideo.playbackRate = 8;
+      expect(controller.getBoostRate(mockVideo)).toBe(16);
+
+      controller.settings.boostMode = "absolute";
+      expect(controller.getBoostRate(mockVideo)).toBe(3.0);
+    });
+
+    test("should apply turbo on top of the lock while the key is held", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.settings.speedLock = {
+        doubleTapMs: 300,
+        hideOverlay: false,
+        followNavigation: false,
+        turboMultiplier: 1.5,
+      };
+      controller.settings.hotkey = {
+        ...controller.settings.hotkey,
+        key: "Backquote",
+      };
+      const keyEvent = {
+        key: "`",
+        code: "Backquote",
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      };
+      mockVideo.playbackRate = 1.25;
+
+      controller.engageSpeedLock();
+      expect(mockVideo.playbackRate).toBe(2.0);
+
+      controller.handleKeyDown(keyEvent);
+      expect(mockVideo.playbackRate).toBe(3.0);
+      controller.handleKeyUp(keyEvent);
+      expect(mockVideo.playbackRate).toBe(2.0);
+      expect(controller.turboState).toBeNull();
+
+      // Unlocking mid-turbo still returns to the pre-lock rate
+      controller.handleKeyDown(keyEvent);
+      controller.releaseSpeedLock();
+      expect(mockVideo.playbackRate).toBe(1.25);
+      controller.handleKeyUp(keyEvent);
+      expect(mockVideo.playbackRate).toBe(1.25);
+    });
+
+    test("should release the lock on the configured conditions", () => {
+      jest.useFakeTimers();
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.settings.lockRelease = {
+        onEnded: true,
+        pausedSeconds: 30,
+        afterMinutes: 15,
+        onTabHidden: false,
+        onDomainChange: false,
+      };
+      mockVideo.playbackRate = 1.25;
+
+      // Paused briefly keeps the lock, paused too long releases it
+      controller.engageSpeedLock();
+      controller.handleVideoPaused(mockVideo, { type: "pause" });
+      jest.advanceTimersByTime(10000);
+      controller.handleVideoPlay(mockVideo, { type: "play" });
+      jest.advanceTimersByTime(30000);
+      expect(controller.speedLockActive).toBe(true);
+      controller.handleVideoPaused(mockVideo, { type: "pause" });
+      jest.advanceTimersByTime(30000);
+      expect(controller.speedLockActive).toBe(false);
+      expect(mockVideo.playbackRate).toBe(1.25);
+
+      controller.engageSpeedLock();
+      controller.handleVideoEnded(mockVideo, { type: "ended" });
+      expect(controller.speedLockActive).toBe(false);
+
+      controller.engageSpeedLock();
+      jest.advanceTimersByTime(15 * 60000);
+      expect(controller.speedLockActive).toBe(false);
+      expect(mockVideo.playbackRate).toBe(1.25);
+
+      jest.useRealTimers();
+    });
+
+    test("should speed through YouTube ads and restore lock and mute", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.adBoost = {
+        enabled: true,
+        speedMultiplier: 16,
+        mute: true,
+      };
+      mockVideo.playbackRate = 1.25;
+      controller.engageSpeedLock();
+      expect(mockVideo.playbackRate).toBe(2.0);
+
+      const player = document.createElement("div");
+      player.id = "movie_player";
+      player.className = "html5-video-player ad-showing";
+      document.body.appendChild(player);
+
+      controller.checkForYouTubeAd();
+      expect(mockVideo.playbackRate).toBe(16);
+      expect(mockVideo.muted).toBe(true);
+      expect(controller.speedLockActive).toBe(false);
+      const indicator = document.getElementById("video-speed-hotkey-indicator");
+      expect(indicator.querySelector(".speed-icon")).toBeTruthy();
+
+      player.classList.remove("ad-showing");
+      controller.checkForYouTubeAd();
+      expect(mockVideo.muted).toBe(false);
+      expect(controller.speedLockActive).toBe(true);
+      expect(mockVideo.playbackRate).toBe(2.0);
+
+      controller.releaseSpeedLock();
+      expect(mockVideo.playbackRate).toBe(1.25);
+    });
+
+    test("should end a lock suspended for an ad when the window blurs", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.adBoost = {
+        enabled: true,
+        speedMultiplier: 16,
+        mute: true,
+      };
+      mockVideo.playbackRate = 1.25;
+      controller.engageSpeedLock();
+
+      const player = document.createElement("div");
+      player.id = "movie_player";
+      player.className = "html5-video-player ad-showing";
+      document.body.appendChild(player);
+      controller.checkForYouTubeAd();
+      expect(mockVideo.playbackRate).toBe(16);
+
+      // Blur resets every rate, so the lock can't come back without its boost
+      controller.handleWindowBlur();
+      expect(controller.adBoostState).toBeNull();
+      expect(controller.speedLockActive).toBe(false);
+      expect(controller.lockReleaseTimer).toBeNull();
+      expect(mockVideo.playbackRate).toBe(1.25);
+      expect(mockVideo.muted).toBe(false);
+    });
+
+    test("should pace the video to finish by a deadline", () => {
+      jest.useFakeTimers();
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.finishBy = { minRate: 1.0, maxRate: 3.0 };
+      Object.defineProperty(mockVideo, "duration", { value: 3600 });
+      Object.defineProperty(mockVideo, "paused", { value: false });
+      mockVideo.currentTime = 0;
+
+      const rate = controller.startFinishBy(Date.now() + 30 * 60 * 1000);
+      expect(rate).toBe(2.0);
+      expect(mockVideo.playbackRate).toBe(2.0);
+      const indicator = document.getElementById("video-speed-hotkey-indicator");
+      expect(indicator.textContent).toMatch(/^2\.00x · done /);
+
+      // Seeking ahead lowers the rate, but never below the floor
+      mockVideo.currentTime = 3000;
+      controller.handleVideoSeeked(mockVideo, { type: "seeked" });
+      expect(mockVideo.playbackRate).toBe(1.0);
+
+      // Running out of time is capped at the ceiling
+      mockVideo.currentTime = 0;
+      jest.advanceTimersByTime(29 * 60 * 1000);
+      expect(mockVideo.playbackRate).toBe(3.0);
+
+      controller.stopFinishBy();
+      expect(mockVideo.playbackRate).toBe(1.0);
+      jest.useRealTimers();
+    });
+
+    test("should show time left and time saved while boosted", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.ui.showTimeLeft = true;
+      controller.settings.ui.showTimeSaved = true;
+      Object.defineProperty(mockVideo, "duration", { value: 3600 });
+      mockVideo.currentTime = 600;
+      controller.lastActiveVideo = mockVideo;
+
+      controller.activateSpeedBoost({ key: " ", code: "Space" });
+      const indicator = document.getElementById("video-speed-hotkey-indicator");
+      expect(indicator.textContent).toBe("2.0x · 25:00 left");
+
+      // 30 media seconds at 2x took 15 wall seconds
+      controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      for (let i = 1; i <= 10; i++) {
+        mockVideo.currentTime = 600 + i * 3;
+        controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      }
+
+      expect(controller.trackedVideos.get(mockVideo).timeSaved).toBe(15);
+      expect(indicator.textContent).toBe("2.0x · 24:45 left · saved 0:15");
+
+      // A rate the browser caps counts at the rate it actually plays
+      controller.deactivateSpeedBoost();
+      let rate = 1;
+      Object.defineProperty(mockVideo, "playbackRate", {
+        configurable: true,
+        get: () => rate,
+        set: (value) => {
+          if (value > 8) throw new DOMException("", "NotSupportedError");
+          rate = value;
+        },
+      });
+      controller.settings.speedMultiplier = 16;
+      controller.activateSpeedBoost({ key: " ", code: "Space" });
+      expect(mockVideo.playbackRate).toBe(8);
+      expect(controller.formatIndicatorText(16)).toContain("6:11 left");
+    });
+
+    test("should not count ads sped through as watched or saved time", () => {
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      const videoState = controller.trackedVideos.get(mockVideo);
+      videoState.isSpeedBoosted = true;
+      mockVideo.playbackRate = 16;
+      controller.adBoostState = { video: mockVideo, originalRate: 1.0 };
+
+      mockVideo.currentTime = 0;
+      controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      for (let i = 1; i <= 10; i++) {
+        mockVideo.currentTime = i * 3;
+        controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      }
+
+      expect(videoState.statsWatched).toBeUndefined();
+      expect(videoState.timeSaved).toBeUndefined();
+    });
+
+    test("should record boosted watch time locally when the boost ends", () => {
+      const recorded = () =>
+        chrome.runtime.sendMessage.mock.calls.filter(
+          ([message]) => message.type === "RECORD_STATS",
+        );
+      chrome.runtime.sendMessage.mockClear();
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      mockVideo.currentTime = 100;
+
+      controller.activateSpeedBoost({ key: " ", code: "Space" });
+      controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      for (let i = 1; i <= 5; i++) {
+        mockVideo.currentTime = 100 + i * 2;
+        controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      }
+      expect(recorded()).toHaveLength(0);
+
+      // Sent to the background service worker, which writes for every tab
+      controller.deactivateSpeedBoost();
+      expect(recorded()).toHaveLength(1);
+      expect(recorded()[0][0].entry).toEqual(
+        expect.objectContaining({
+          site: "example.com",
+          watchedSeconds: 10,
+          savedSeconds: 5,
+          url: "https://example.com/",
+        }),
+      );
+
+      // Normal-speed playback afterwards is not counted
+      mockVideo.currentTime = 112;
+      controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      controller.resetAllSpeeds();
+      expect(recorded()).toHaveLength(1);
+    });
+
+    test("should apply chapter rules at YouTube chapter boundaries", () => {
+      controller.settings.chapters = { enabled: true, showName: true };
+      controller.settings.chapterRules = [
+        { titlePattern: "^intro$|sponsor", action: "skip", playbackRate: null },
+        { titlePattern: "q&a", action: "speed", playbackRate: 1.5 },
+      ];
+      const description = document.createElement("div");
+      description.id = "description";
+      description.textContent =
+        "Links below\n0:00 Intro\n1:30 - Main topic\n10:00 Sponsor\n12:00 Q&A";
+      document.body.appendChild(description);
+      Object.defineProperty(mockVideo, "duration", { value: 900 });
+      controller.lastActiveVideo = mockVideo;
+
+      expect(controller.getYouTubeChapters(900)).toEqual([
+        { start: 0, end: 90, title: "Intro" },
+        { start: 90, end: 600, title: "Main topic" },
+        { start: 600, end: 720, title: "Sponsor" },
+        { start: 720, end: 900, title: "Q&A" },
+      ]);
+
+      // Main player already identified on this YouTube page
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.chapterState = {
+        video: mockVideo,
+        chapters: [],
+        index: -1,
+        title: null,
+        checkedAt: 0,
+        previousRate: null,
+      };
+      const playTo = (time) => {
+        mockVideo.currentTime = time;
+        controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      };
+      const indicatorText = () =>
+        document.getElementById("video-speed-hotkey-indicator").textContent;
+
+      playTo(2);
+      expect(mockVideo.currentTime).toBe(90);
+      expect(indicatorText()).toBe("Skipped Intro");
+
+      playTo(91);
+      expect(indicatorText()).toBe("1.0x · Main topic");
+
+      playTo(601);
+      expect(mockVideo.currentTime).toBe(720);
+
+      playTo(721);
+      expect(mockVideo.playbackRate).toBe(1.5);
+      expect(indicatorText()).toBe("1.5x · Q&A");
+
+      playTo(100);
+      expect(mockVideo.playbackRate).toBe(1.0);
+      expect(controller.chapterState.title).toBe("Main topic");
+    });
+
+    test("should loop between A and B at the loop rate", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.settings.loop = {
+        enabled: true,
+        pointAKey: "KeyA",
+        pointBKey: "KeyB",
+        toggleKey: "KeyR",
+        modifiers: [],
+        playbackRate: 0.75,
+      };
+      Object.defineProperty(mockVideo, "duration", { value: 600 });
+      controller.lastActiveVideo = mockVideo;
+      mockVideo.playbackRate = 1.25;
+      const keyEvent = (key, code) => ({
+        key,
+        code,
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      });
+      const indicatorText = () =>
+        document.getElementById("video-speed-hotkey-indicator").textContent;
+
+      mockVideo.currentTime = 70;
+      controller.handleKeyDown(keyEvent("a", "KeyA"));
+      expect(indicatorText()).toBe("1.3x · A 1:10");
+
+      mockVideo.currentTime = 95;
+      controller.handleKeyDown(keyEvent("b", "KeyB"));
+      expect(mockVideo.playbackRate).toBe(0.75);
+      expect(indicatorText()).toBe("0.8x · A 1:10 · B 1:35 · loop on");
+
+      // Reaching B jumps back to A
+      mockVideo.currentTime = 95.2;
+      controller.handleVideoTimeUpdate(mockVideo, { type: "timeupdate" });
+      expect(mockVideo.currentTime).toBe(70);
+
+      controller.handleKeyDown(keyEvent("r", "KeyR"));
+      expect(mockVideo.playbackRate).toBe(1.25);
+      expect(indicatorText()).toBe("1.3x · A 1:10 · B 1:35 · loop off");
+
+      // A new source clears the loop
+      controller.handleKeyDown(keyEvent("r", "KeyR"));
+      controller.handleVideoLoadStart(mockVideo, { type: "loadstart" });
+      expect(controller.loopState).toBeNull();
+      expect(mockVideo.playbackRate).toBe(1.25);
+    });
+
+    test("should leave loop keys to the page when nothing was looped", () => {
+      controller.settings.loop = {
+        enabled: true,
+        pointAKey: "KeyA",
+        pointBKey: "KeyB",
+        toggleKey: "KeyR",
+        modifiers: [],
+        playbackRate: 0.75,
+      };
+      const getActiveVideo = jest
+        .spyOn(controller, "getActiveVideo")
+        .mockReturnValue(null);
+      const keyEvent = (key, code) => ({
+        key,
+        code,
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      });
+
+      // No video to mark
+      const noVideo = keyEvent("a", "KeyA");
+      controller.handleKeyDown(noVideo);
+      expect(noVideo.preventDefault).not.toHaveBeenCalled();
+      expect(noVideo.stopPropagation).not.toHaveBeenCalled();
+
+      // B and toggle without A do nothing
+      getActiveVideo.mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      mockVideo.currentTime = 30;
+      const noA = keyEvent("b", "KeyB");
+      controller.handleKeyDown(noA);
+      expect(noA.preventDefault).not.toHaveBeenCalled();
+      const noLoop = keyEvent("r", "KeyR");
+      controller.handleKeyDown(noLoop);
+      expect(noLoop.preventDefault).not.toHaveBeenCalled();
+
+      const setA = keyEvent("a", "KeyA");
+      controller.handleKeyDown(setA);
+      expect(setA.preventDefault).toHaveBeenCalled();
+      expect(setA.stopPropagation).toHaveBeenCalled();
+    });
+
+    test("should fall back when the browser rejects a rate", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.lastActiveVideo = mockVideo;
+      let rate = 1;
+      Object.defineProperty(mockVideo, "playbackRate", {
+        configurable: true,
+        get: () => rate,
+        set: (value) => {
+          if (value > 8) throw new DOMException("", "NotSupportedError");
+          rate = value;
+        },
+      });
+      const indicatorText = () =>
+        document.getElementById("video-speed-hotkey-indicator").textContent;
+
+      expect(controller.applySpeedBoost(16)).toBe(true);
+      expect(mockVideo.playbackRate).toBe(8);
+      expect(indicatorText()).toBe("8.0x · 16.0x not supported · no audio");
+
+      // The limit is remembered, and below 4x the audio is kept
+      controller.restoreOriginalSpeed();
+      controller.setPlaybackRate(mockVideo, 12);
+      expect(mockVideo.playbackRate).toBe(8);
+      expect(controller.formatIndicatorText(3)).toBe("3.0x");
+    });
+
+    test("should step a paused video frame by frame", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.handleVideoCanPlay(mockVideo, { type: "canplay" });
+      controller.settings.frameStep = {
+        enabled: true,
+        forwardKey: "Period",
+        backwardKey: "Comma",
+        modifiers: [],
+        fallbackFps: 25,
+      };
+      Object.defineProperty(mockVideo, "duration", { value: 600 });
+      const keyEvent = (key, code) => ({
+        key,
+        code,
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      });
+      const indicatorText = () =>
+        document.getElementById("video-speed-hotkey-indicator").textContent;
+
+      // Falls back to the configured frame rate
+      mockVideo.currentTime = 70;
+      const forward = keyEvent(".", "Period");
+      controller.handleKeyDown(forward);
+      expect(forward.preventDefault).toHaveBeenCalled();
+      expect(mockVideo.currentTime).toBeCloseTo(70.04);
+      expect(indicatorText()).toBe("1:10.040 · frame 1751");
+
+      // A measured frame rate wins over the fallback
+      controller.trackedVideos.get(mockVideo).frameDuration = 1 / 50;
+      controller.handleKeyDown(keyEvent(",", "Comma"));
+      controller.handleKeyDown(keyEvent(",", "Comma"));
+      expect(mockVideo.currentTime).toBeCloseTo(70);
+      expect(indicatorText()).toBe("1:10.000 · frame 3500");
+
+      // Playing videos are left alone
+      Object.defineProperty(mockVideo, "paused", { value: false });
+      const playing = keyEvent(".", "Period");
+      controller.handleKeyDown(playing);
+      expect(playing.preventDefault).not.toHaveBeenCalled();
+      expect(mockVideo.currentTime).toBeCloseTo(70);
+    });
+
+    test("should apply the first matching site rule", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      Object.defineProperty(mockVideo, "duration", { value: 3600 });
+      controller.settings.rules = [
+        { urlPattern: "other.org", playbackRate: 1.75 },
+        {
+          urlPattern: "example.com",
+          minDuration: 1800,
+          playbackRate: 1.25,
+          speedMultiplier: 3.0,
+        },
+      ];
+
+      controller.applySiteRules();
+
+      expect(controller.activeRule).toBe(controller.settings.rules[1]);
+      expect(mockVideo.playbackRate).toBe(1.25);
+
+      controller.activateSpeedBoost({ key: " ", code: "Space" });
+      expect(mockVideo.playbackRate).toBe(3.0);
+
+      controller.restoreOriginalSpeed();
+      expect(mockVideo.playbackRate).toBe(1.25);
+    });
+
+    test("should ignore the hotkey on pages a rule disables", () => {
+      jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
+      controller.settings.rules = [{ urlPattern: "*", disabled: true }];
+      controller.applySiteRules();
+
+      controller.handleKeyDown({
+        key: " ",
+        code: "Space",
+        ctrlKey: false,
+        altKey: false,
+        shiftKey: false,
+        metaKey: false,
+        target: document.body,
+        preventDefault: jest.fn(),
+        stopPropagation: jest.fn(),
+      });
+
+      expect(mockVideo.playbackRate).toBe(1.0);
+      expect(controller.hotkeyState.isPressed).toBe(false);
+    });
+
     test("should hide indicator when speed boost is deactivated", () => {
       // First activate speed boost
       jest.spyOn(controller, "getActiveVideo").mockReturnValue(mockVideo);
@@ -0,0 +1,261 @@
+/**
+ * Unit tests for local watch statistics and their CSV/JSON export
+ */
+
+// Mock Chrome storage API for testing
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(),
+      set: jest.fn(),
+      remove: jest.fn(),
+    },
+    sync: {
+      get: jest.fn(),
+      set: jest.fn(),
+    },
+  },
+};
+
+// Import stats module
+const {
+  STATS_STORAGE_KEY,
+  loadStats,
+  recordWatchTime,
+  clearStats,
+  summarizeStats,
+  buildStatsExport,
+  exportStats,
+} = require("../shared/stats.js");
+
+const SAMPLE_STATS = {
+  days: {
+    "2026-03-01": {
+      "www.youtube.com": { watchedSeconds: 600, savedSeconds: 300 },
+    },
+    "2026-03-02": {
+      "www.youtube.com": { watchedSeconds: 120.4, savedSeconds: 40.1 },
+      "lectures.example.edu": { watchedSeconds: 900, savedSeconds: 300 },
+    },
+  },
+  videos: {
+    "https://www.youtube.com/watch?v=abc": {
+      url: "https://www.youtube.com/watch?v=abc",
+      title: 'Intro, "part 1"',
+      site: "www.youtube.com",
+      duration: 1800.6,
+      watchedSeconds: 720.4,
+      savedSeconds: 340.1,
+      lastWatched: new Date(2026, 2, 2, 9).getTime(),
+    },
+    "https://lectures.example.edu/42": {
+      url: "https://lectures.example.edu/42",
+      title: "=HYPERLINK(\"x\")",
+      site: "lectures.example.edu",
+      duration: null,
+      watchedSeconds: 900,
+      savedSeconds: 300,
+      lastWatched: new Date(2026, 2, 2, 18).getTime(),
+    },
+  },
+};
+
+describe("Stats Recording", () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {};
+    chrome.storage.local.get.mockImplementation(async (keys) => ({
+      [keys[0]]: stored[keys[0]],
+    }));
+    chrome.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(stored, JSON.parse(JSON.stringify(items)));
+    });
+  });
+
+  test("should return empty stats on first run", async () => {
+    const result = await loadStats();
+    expect(result).toEqual({ days: {}, videos: {} });
+  });
+
+  test("should add up time per day, site and video", async () => {
+    const date = new Date(2026, 2, 2, 12);
+    const entry = {
+      site: "www.youtube.com",
+      watchedSeconds: 60,
+      savedSeconds: 30,
+      url: "https://www.youtube.com/watch?v=abc",
+      title: "Intro",
+      duration: 1800,
+    };
+
+    await Promise.all([
+      recordWatchTime(entry, date),
+      recordWatchTime(entry, date),
+    ]);
+
+    const stats = stored[STATS_STORAGE_KEY];
+    expect(stats.days["2026-03-02"]["www.youtube.com"]).toEqual({
+      watchedSeconds: 120,
+      savedSeconds: 60,
+    });
+    expect(stats.videos[entry.url]).toMatchObject({
+      title: "Intro",
+      duration: 1800,
+      watchedSeconds: 120,
+      savedSeconds: 60,
+      lastWatched: date.getTime(),
+    });
+  });
+
+  test("should add up one video reached through different URLs", async () => {
+    const date = new Date(2026, 2, 2, 12);
+    const entry = {
+      site: "www.youtube.com",
+      watchedSeconds: 60,
+      savedSeconds: 30,
+      key: "youtube:abc",
+      title: "Intro",
+    };
+
+    await recordWatchTime(
+      { ...entry, url: "https://www.youtube.com/watch?v=abc&t=30" },
+      date,
+    );
+    await recordWatchTime(
+      { ...entry, url: "https://youtu.be/abc?si=share" },
+      date,
+    );
+
+    const { videos } = stored[STATS_STORAGE_KEY];
+    expect(Object.keys(videos)).toEqual(["youtube:abc"]);
+    expect(videos["youtube:abc"]).toMatchObject({
+      url: "https://youtu.be/abc?si=share",
+      watchedSeconds: 120,
+      savedSeconds: 60,
+    });
+  });
+
+  test("should ignore entries with nothing watched", async () => {
+    const result = await recordWatchTime({
+      site: "www.youtube.com",
+      watchedSeconds: 0,
+      savedSeconds: 0,
+    });
+
+    expect(result).toBe(false);
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  test("should clear only the stats key", async () => {
+    chrome.storage.local.remove.mockResolvedValue();
+
+    const result = await clearStats();
+
+    expect(result).toBe(true);
+    expect(chrome.storage.local.remove).toHaveBeenCalledWith(STATS_STORAGE_KEY);
+  });
+
+  test("should summarise today, the week and sites", () => {
+    const summary = summarizeStats(SAMPLE_STATS, new Date(2026, 2, 2, 20));
+
+    expect(summary.today.savedSeconds).toBeCloseTo(340.1);
+    expect(summary.week.watchedSeconds).toBeCloseTo(1620.4);
+    expect(summary.days).toHaveLength(7);
+    expect(summary.sites.map((site) => site.site)).toEqual([
+      "www.youtube.com",
+      "lectures.example.edu",
+    ]);
+  });
+});
+
+describe("Stats Export", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should build per-video rows with an average rate", () => {
+    const { videos } = buildStatsExport(SAMPLE_STATS);
+
+    // Most recently watched first
+    expect(videos[0]).toEqual({
+      url: "https://lectures.example.edu/42",
+      title: "=HYPERLINK(\"x\")",
+      site: "lectures.example.edu",
+      durationSeconds: null,
+      watchedSeconds: 900,
+      averageRate: 1.5,
+      savedSeconds: 300,
+      lastWatched: "2026-03-02",
+    });
+    expect(videos[1]).toMatchObject({
+      durationSeconds: 1801,
+      watchedSeconds: 720,
+      averageRate: 1.89,
+      savedSeconds: 340,
+    });
+  });
+
+  test("should build per-day rows in date order", () => {
+    const { days } = buildStatsExport(SAMPLE_STATS);
+
+    expect(days).toEqual([
+      {
+        date: "2026-03-01",
+        site: "www.youtube.com",
+        watchedSeconds: 600,
+        savedSeconds: 300,
+      },
+      {
+        date: "2026-03-02",
+        site: "www.youtube.com",
+        watchedSeconds: 120,
+        savedSeconds: 40,
+      },
+      {
+        date: "2026-03-02",
+        site: "lectures.example.edu",
+        watchedSeconds: 900,
+        savedSeconds: 300,
+      },
+    ]);
+  });
+
+  test("should quote CSV cells and neutralise formulas", () => {
+    const { videosCsv, daysCsv } = exportStats(SAMPLE_STATS);
+    const videoLines = videosCsv.trim().split("\r\n");
+
+    expect(videoLines[0]).toBe(
+      "url,title,site,durationSeconds,watchedSeconds,averageRate,savedSeconds,lastWatched",
+    );
+    expect(videoLines[1]).toBe(
+      'https://lectures.example.edu/42,"\'=HYPERLINK(""x"")",lectures.example.edu,,900,1.5,300,2026-03-02',
+    );
+    expect(videoLines[2]).toContain('"Intro, ""part 1"""');
+    expect(daysCsv.trim().split("\r\n")).toHaveLength(4);
+  });
+
+  test("should export JSON with both tables", () => {
+    const exportedAt = new Date("2026-03-03T10:00:00Z");
+    const { json } = exportStats(SAMPLE_STATS, exportedAt);
+    const parsed = JSON.parse(json);
+
+    expect(parsed.exportedAt).toBe("2026-03-03T10:00:00.000Z");
+    expect(parsed.videos).toHaveLength(2);
+    expect(parsed.days).toHaveLength(3);
+  });
+
+  test("should read only local storage when exporting", async () => {
+    chrome.storage.local.get.mockResolvedValue({
+      [STATS_STORAGE_KEY]: SAMPLE_STATS,
+    });
+
+    const files = exportStats(await loadStats());
+
+    expect(chrome.storage.local.get).toHaveBeenCalledWith([STATS_STORAGE_KEY]);
+    expect(chrome.storage.sync.get).not.toHaveBeenCalled();
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    expect(JSON.parse(files.json).videos).toHaveLength(2);
+  });
+});